@@ -4,29 +4,547 @@ const { useState, useEffect, useRef } = React;
 // CONSTANTS
 // ========================================
 const EARTH_RADIUS_KM = 6371;
-const MAX_GPS_ACCURACY_METERS = 30; // Increased to accept more GPS readings
-const MIN_DISTANCE_THRESHOLD_METERS = 3; // Reduced back to 3m for better tracking
-const PACE_SMOOTHING_WINDOW = 5; // Number of samples for 10-second rolling average
-const VOICE_ANNOUNCEMENT_INTERVAL_METERS = 500; // Announce pace every 500m
+const KALMAN_ACCELERATION_NOISE = 1.0; // Expected runner acceleration (m/s²) - higher trusts new fixes more
+const KALMAN_INITIAL_SPEED_VARIANCE = 25; // Uncertainty of the starting speed ((m/s)²)
+const DEFAULT_GPS_ACCURACY_METERS = 10; // Assumed accuracy for fixes that don't report one
+const MIN_MOVING_SPEED_MPS = 1.0; // Filtered speed below this counts as standing still
+const DEFAULT_ALTITUDE_ACCURACY_METERS = 15; // Assumed vertical accuracy for fixes that don't report one
+const ALTITUDE_PROCESS_NOISE = 0.2; // Expected altitude change variance per second (m²/s) - lower smooths more
+const ELEVATION_HYSTERESIS_METERS = 3; // Climbs/drops smaller than this don't count towards gain/loss
+const GRADE_SEGMENT_METERS = 100; // Track length each grade is measured over for grade-adjusted pace
+const AUTO_PAUSE_DELAY_SECONDS = 5; // Standing still this long triggers auto-pause
+const AUTO_RESUME_SPEED_MPS = 1.5; // Filtered speed needed to auto-resume (above the stop speed to avoid flapping)
+const PACE_SMOOTHING_WINDOW = 10; // Seconds of GPS track used for the rolling current pace
+const METERS_PER_MILE = 1609.344;
+const UNIT_SYSTEMS = { // Display units - everything is stored in metres, seconds and seconds per km
+    metric: {
+        distance: 'km',
+        distanceMeters: 1000,
+        splitLabel: 'Km',
+        spokenUnit: 'kilometer',
+        spokenDistance: 'kilometers',
+        spokenPace: 'per kilometer',
+        shortDistance: 'm',
+        shortDistanceMeters: 1,
+        shortDistanceLabel: 'Meters',
+        spokenShortDistance: 'meters',
+        elevation: 'm',
+        elevationMeters: 1
+    },
+    imperial: {
+        distance: 'mi',
+        distanceMeters: METERS_PER_MILE,
+        splitLabel: 'Mile',
+        spokenUnit: 'mile',
+        spokenDistance: 'miles',
+        spokenPace: 'per mile',
+        shortDistance: 'yd',
+        shortDistanceMeters: 0.9144,
+        shortDistanceLabel: 'Yards',
+        spokenShortDistance: 'yards',
+        elevation: 'ft',
+        elevationMeters: 0.3048
+    }
+};
+const LOCALE_OPTIONS = [ // Date and number formats offered in settings
+    { value: '', label: 'Browser default' },
+    { value: 'en-US', label: 'English (US)' },
+    { value: 'en-GB', label: 'English (UK)' },
+    { value: 'de-DE', label: 'Deutsch' },
+    { value: 'fr-FR', label: 'Français' },
+    { value: 'es-ES', label: 'Español' },
+    { value: 'it-IT', label: 'Italiano' },
+    { value: 'nl-NL', label: 'Nederlands' },
+    { value: 'pt-BR', label: 'Português (Brasil)' },
+    { value: 'ja-JP', label: '日本語' }
+];
 const GPS_OPTIONS = {
     enableHighAccuracy: true,
     maximumAge: 1000, // Reduced for more frequent updates
     timeout: 5000
 };
-const STORAGE_KEY = 'running_tracker_history'; // LocalStorage key for run history
+const TRACKING_SETTING_FIELDS = [ // GPS and tracking settings - the constants above are the defaults
+    { id: 'accelerationNoise', label: 'Filter responsiveness', unit: 'm/s²', min: 0.1, max: 5, step: 0.1, help: 'Expected acceleration - higher follows new fixes more closely, lower smooths more' },
+    { id: 'defaultAccuracy', label: 'Assumed accuracy', unit: 'm', min: 1, max: 100, step: 1, help: "Used for fixes that don't report an accuracy" },
+    { id: 'minMovingSpeed', label: 'Standing-still speed', unit: 'm/s', min: 0, max: 3, step: 0.1, help: 'Filtered speed below this adds no distance' },
+    { id: 'paceWindow', label: 'Current pace window', unit: 's', min: 3, max: 60, step: 1, help: 'Seconds of track used for the rolling current pace' },
+    { id: 'autoPauseDelay', label: 'Auto-pause delay', unit: 's', min: 1, max: 60, step: 1, help: 'Standing still this long triggers auto-pause' },
+    { id: 'autoResumeSpeed', label: 'Auto-resume speed', unit: 'm/s', min: 0.1, max: 5, step: 0.1, help: 'Must be above the standing-still speed, to avoid flapping' },
+    { id: 'maximumAge', label: 'Maximum fix age', unit: 'ms', min: 0, max: 60000, step: 500, help: 'How old a cached position the phone may return' },
+    { id: 'timeout', label: 'Fix timeout', unit: 'ms', min: 1000, max: 60000, step: 500, help: 'How long to wait for each position before reporting an error' }
+];
+const STORAGE_KEY = 'running_tracker_history'; // Legacy localStorage key, migrated into IndexedDB
+const SETTINGS_KEY = 'running_tracker_settings'; // App settings (localStorage, so they're ready before the first render)
+const SYNC_STATE_KEY = 'running_tracker_sync_state'; // Sync server and position pulled up to (localStorage)
+const SYNC_INTERVAL_MS = 5 * 60 * 1000; // Sync this often while the app is open
+const SYNC_RETRY_BASE_MS = 5000; // First retry after a failed sync - doubles with each failure
+const SYNC_RETRY_MAX_MS = 10 * 60 * 1000; // Longest wait between retries
+const DEFAULT_SETTINGS = {
+    units: 'metric',
+    locale: '',
+    sync: {
+        enabled: false,
+        url: '', // Base URL of the sync server, e.g. http://192.168.1.10:8787
+        token: '', // Sent as a Bearer token if the server requires one
+        name: '' // Runner name attached to pushed runs; use the same one on all your devices
+    },
+    tracking: {
+        accelerationNoise: KALMAN_ACCELERATION_NOISE,
+        defaultAccuracy: DEFAULT_GPS_ACCURACY_METERS,
+        minMovingSpeed: MIN_MOVING_SPEED_MPS,
+        paceWindow: PACE_SMOOTHING_WINDOW,
+        autoPauseDelay: AUTO_PAUSE_DELAY_SECONDS,
+        autoResumeSpeed: AUTO_RESUME_SPEED_MPS,
+        enableHighAccuracy: GPS_OPTIONS.enableHighAccuracy,
+        maximumAge: GPS_OPTIONS.maximumAge,
+        timeout: GPS_OPTIONS.timeout
+    },
+    coaching: {
+        enabled: true,
+        quiet: false, // Interval announcements only when well off pace; no pause/resume cues
+        distanceTrigger: true,
+        distanceInterval: 0.5, // In km or miles, following the units setting
+        timeTrigger: false,
+        timeIntervalMinutes: 5,
+        fields: {
+            distance: true,
+            elapsedTime: false,
+            split: false,
+            currentPace: true,
+            averagePace: true,
+            requiredPace: true,
+            remainingDistance: false,
+            projectedFinish: false,
+            plan: true,
+            ghost: true
+        },
+        paceTolerance: 10, // Seconds per km either side of the target that count as on pace
+        voiceURI: '', // '' for the browser's default voice
+        rate: 1.0,
+        volume: 1.0,
+        templates: {
+            distance: '{distance} {distanceUnit}.',
+            elapsedTime: 'Time: {elapsedTime}.',
+            split: 'Last {splitUnit}: {split}.',
+            currentPace: 'Current pace: {currentPace} {paceUnit}.',
+            gradeAdjustedPace: 'Grade adjusted: {gradeAdjustedPace}.',
+            averagePace: 'Average pace: {averagePace}.',
+            requiredPace: 'Pace needed for your goal: {requiredPace}.',
+            remainingDistance: '{remainingDistance} {distanceUnit} to go.',
+            projectedFinish: 'Projected finish: {projectedFinish}.',
+            plan: '{plan}.',
+            ghost: '{ghost}.',
+            wellAhead: "Excellent work! You're well ahead of pace!",
+            onPace: "Great job! You're right on pace!",
+            behind: "You're slightly behind pace. Keep pushing!",
+            wellBehind: 'Pick up the pace! You can do it!'
+        }
+    }
+};
+const COACHING_FIELDS = [ // Announcement fields, in the order they're spoken
+    { id: 'distance', label: 'Distance' },
+    { id: 'elapsedTime', label: 'Elapsed time' },
+    { id: 'split', label: 'Last split' },
+    { id: 'currentPace', label: 'Current pace' },
+    { id: 'averagePace', label: 'Average pace' },
+    { id: 'requiredPace', label: 'Pace needed (finish-time goal)' },
+    { id: 'remainingDistance', label: 'Remaining distance' },
+    { id: 'projectedFinish', label: 'Projected finish' },
+    { id: 'plan', label: 'Time vs pacing plan' },
+    { id: 'ghost', label: 'Gap to ghost' }
+];
+const COACHING_FEEDBACK = [ // Pace feedback messages, fastest first
+    { id: 'wellAhead', label: 'Well ahead of pace' },
+    { id: 'onPace', label: 'On pace' },
+    { id: 'behind', label: 'Slightly behind' },
+    { id: 'wellBehind', label: 'Well behind' }
+];
+const DB_NAME = 'running_tracker';
+const DB_VERSION = 5; // Bump and add an entry to DB_MIGRATIONS when the schema changes
+const RUNS_STORE = 'runs'; // Run summaries, keyed by id
+const TRACKS_STORE = 'tracks'; // Compact GPS tracks, keyed by runId
+const SESSION_STORE = 'session'; // Checkpoint of the in-progress run
+const WORKOUTS_STORE = 'workouts'; // Saved interval workouts, keyed by id
+const RECORDS_STORE = 'records'; // Personal records, keyed by record id
+const SYNC_STORE = 'syncQueue'; // Runs saved or deleted since they were last pushed to the sync server, keyed by runId
+const ACTIVE_SESSION_ID = 'active';
+const CHECKPOINT_INTERVAL_MS = 5000; // Checkpoint the active run every 5 seconds
+const TRACK_COORD_SCALE = 1e6; // Store lat/lon as integer micro-degrees (~0.1m)
+const TRACK_ALTITUDE_SCALE = 10; // Store altitude as integer decimetres
+const SPLIT_DISTANCE_METERS = 1000; // Length of one split / lap
+const RUN_HISTORY_PAGE_SIZE = 20; // Runs rendered at a time in the history list
+const STATS_PERIOD_COUNT = 12; // Weeks or months shown in the statistics charts
+const STATS_COMPARISON_PERIODS = { week: 4, month: 3 }; // Past periods the current one is compared against
+const RECORD_MIN_PACE_DISTANCE_KM = 1; // Shorter runs don't count for the fastest average pace record
+const PREDICTION_TARGETS = ['5k', '10k', 'half', 'marathon']; // Record ids that race times are predicted for
+const PREDICTION_WINDOW_DAYS = 90; // Best efforts older than this aren't used for predictions
+const PREDICTION_MIN_SOURCE_METERS = 1000; // Shorter best efforts are too noisy to predict from
+const RIEGEL_EXPONENT = 1.06; // Fatigue factor in Riegel's formula T2 = T1 × (D2 / D1)^1.06
+const BACKUP_FORMAT = 'running-tracker-backup'; // Identifies backup files
+const BACKUP_VERSION = 1; // Bump when the backup layout changes, and keep reading older versions
+const PACING_PLANS = [ // Pacing plan types offered in Run Setup
+    { id: 'even', label: 'Even' },
+    { id: 'negative', label: 'Negative split' },
+    { id: 'progressive', label: 'Progressive' },
+    { id: 'custom', label: 'Custom' }
+];
+const RECORD_DEFINITIONS = [ // Personal records, in display order - best efforts have a distance
+    { id: '400m', label: '400 m', meters: 400 },
+    { id: '1k', label: '1 km', meters: 1000 },
+    { id: 'mile', label: '1 mile', meters: 1609.344 },
+    { id: '5k', label: '5 km', meters: 5000 },
+    { id: '10k', label: '10 km', meters: 10000 },
+    { id: 'half', label: 'Half marathon', meters: 21097.5 },
+    { id: 'marathon', label: 'Marathon', meters: 42195 },
+    { id: 'longest', label: 'Longest run', higherIsBetter: true },
+    { id: 'fastestPace', label: 'Fastest average pace' }
+];
 
 // ========================================
 // STORAGE HELPER FUNCTIONS
 // ========================================
 
 /**
- * Load run history from localStorage
- * @returns {Array} Array of saved runs
+ * Schema migrations, keyed by the version they upgrade to.
+ * Each runs inside the IndexedDB upgrade transaction.
+ */
+const DB_MIGRATIONS = {
+    1: (db, transaction) => {
+        const runs = db.createObjectStore(RUNS_STORE, { keyPath: 'id' });
+        runs.createIndex('date', 'date');
+        db.createObjectStore(TRACKS_STORE, { keyPath: 'runId' });
+
+        // Import history saved by the localStorage version of the app
+        let legacyRuns = [];
+        try {
+            legacyRuns = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+        } catch (error) {
+            console.error('Error reading legacy run history:', error);
+        }
+        legacyRuns.forEach((run) => putRunRecords(transaction, run));
+    },
+    2: (db) => {
+        db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+    },
+    3: (db) => {
+        db.createObjectStore(WORKOUTS_STORE, { keyPath: 'id' });
+    },
+    4: (db, transaction) => {
+        db.createObjectStore(RECORDS_STORE, { keyPath: 'id' });
+
+        // Find best efforts in runs saved before records existed, then build the records
+        const runs = transaction.objectStore(RUNS_STORE);
+        const tracks = transaction.objectStore(TRACKS_STORE);
+        runs.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                rebuildRecords(transaction);
+                return;
+            }
+
+            const summary = cursor.value;
+            if (!summary.bestEfforts) {
+                tracks.get(summary.id).onsuccess = (trackEvent) => {
+                    const trackRecord = trackEvent.target.result;
+                    const points = trackRecord ? expandTrack(trackRecord.track) : [];
+                    runs.put({ ...summary, bestEfforts: computeBestEfforts(points, summary.pauses || []) });
+                };
+            }
+            cursor.continue();
+        };
+    },
+    5: (db, transaction) => {
+        db.createObjectStore(SYNC_STORE, { keyPath: 'runId' });
+
+        // Runs saved before sync existed are sent the first time sync is turned on
+        transaction.objectStore(RUNS_STORE).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            queueSync(transaction, cursor.value.id, false, runUpdatedAt(cursor.value));
+            cursor.continue();
+        };
+    }
+};
+
+let dbPromise = null;
+
+/**
+ * Load app settings, filling in defaults for anything not yet set
+ * @returns {Object} Settings
+ */
+function loadSettings() {
+    try {
+        return mergeSettings(JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {});
+    } catch (error) {
+        console.error('Error loading settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Fill in defaults for settings that are missing, e.g. from an older version
+ * of the app or a backup file. Hand-edited, damaged or outdated values fall
+ * back to the defaults too, since a bad unit, locale or template would crash
+ * every screen that formats with it - including Settings.
+ * @param {Object} stored - Saved settings, possibly partial
+ * @returns {Object} Complete settings
+ */
+function mergeSettings(stored) {
+    const coaching = matchDefaults(DEFAULT_SETTINGS.coaching, stored.coaching);
+    const tracking = matchDefaults(DEFAULT_SETTINGS.tracking, stored.tracking);
+    return {
+        units: UNIT_SYSTEMS[stored.units] ? stored.units : DEFAULT_SETTINGS.units,
+        locale: isValidLocale(stored.locale) ? stored.locale : DEFAULT_SETTINGS.locale,
+        sync: matchDefaults(DEFAULT_SETTINGS.sync, stored.sync),
+        tracking: Object.keys(validateTrackingSettings(tracking)).length === 0 ? tracking : { ...DEFAULT_SETTINGS.tracking },
+        coaching: {
+            ...coaching,
+            fields: matchDefaults(DEFAULT_SETTINGS.coaching.fields, stored.coaching && stored.coaching.fields),
+            templates: matchDefaults(DEFAULT_SETTINGS.coaching.templates, stored.coaching && stored.coaching.templates)
+        }
+    };
+}
+
+/**
+ * Take each default's stored value, as long as it's of the same type
+ * @param {Object} defaults - Default values
+ * @param {*} stored - Stored values, possibly missing or damaged
+ * @returns {Object} A value for every default
+ */
+function matchDefaults(defaults, stored) {
+    const values = { ...defaults };
+    if (!stored || typeof stored !== 'object') {
+        return values;
+    }
+    Object.keys(defaults).forEach((key) => {
+        const value = stored[key];
+        if (typeof value === typeof defaults[key] && (typeof value !== 'number' || isFinite(value))) {
+            values[key] = value;
+        }
+    });
+    return values;
+}
+
+/**
+ * Check a locale setting can be used for formatting
+ * @param {*} locale - '' for the browser default, or a BCP 47 locale
+ * @returns {boolean} True if dates and numbers can be formatted with it
+ */
+function isValidLocale(locale) {
+    if (locale === '') {
+        return true;
+    }
+    try {
+        return typeof locale === 'string' && Intl.getCanonicalLocales(locale).length === 1;
+    } catch (error) {
+        return false; // RangeError for a malformed tag, e.g. "en_US"
+    }
+}
+
+// Current settings, read by the formatting helpers
+let appSettings = loadSettings();
+
+/**
+ * Check GPS and tracking settings against the limits in TRACKING_SETTING_FIELDS
+ * @param {Object} tracking - Tracking settings
+ * @returns {Object} Error message for each invalid setting id (empty when all are valid)
+ */
+function validateTrackingSettings(tracking) {
+    const errors = {};
+    TRACKING_SETTING_FIELDS.forEach((field) => {
+        const value = tracking[field.id];
+        if (typeof value !== 'number' || !isFinite(value)) {
+            errors[field.id] = 'Enter a number';
+        } else if (value < field.min || value > field.max) {
+            errors[field.id] = `Must be between ${field.min} and ${field.max} ${field.unit}`;
+        }
+    });
+    if (!errors.autoResumeSpeed && !errors.minMovingSpeed && tracking.autoResumeSpeed <= tracking.minMovingSpeed) {
+        errors.autoResumeSpeed = 'Must be above the standing-still speed';
+    }
+    return errors;
+}
+
+/**
+ * Describe the tracking settings a run was recorded with
+ * @param {Object} tracking - Tracking settings stored with the run
+ * @returns {string} e.g. "Filter 1 m/s², assumed accuracy 10 m, ..."
+ */
+function describeTrackingSettings(tracking) {
+    const fields = TRACKING_SETTING_FIELDS.map(field => `${field.label.toLowerCase()} ${tracking[field.id]} ${field.unit}`);
+    fields.push(tracking.enableHighAccuracy ? 'high accuracy GPS' : 'power-saving GPS');
+    const text = fields.join(', ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Store app settings and make them current
+ * @param {Object} settings - Complete settings
+ */
+function saveSettings(settings) {
+    appSettings = settings;
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('Error saving settings:', error);
+    }
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise} Resolves with the request result
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for an IndexedDB transaction to commit
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise} Resolves when the transaction completes
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Open (and create or upgrade) the run database.
+ * The connection is opened once and shared.
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+function openRunDatabase() {
+    if (dbPromise) {
+        return dbPromise;
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB is not supported in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        let migratedLegacy = false;
+
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+                console.log(`Migrating run database to version ${version}`);
+                DB_MIGRATIONS[version](db, request.transaction);
+            }
+            migratedLegacy = event.oldVersion === 0;
+        };
+
+        request.onsuccess = () => {
+            // Legacy data is only removed once the upgrade has committed
+            if (migratedLegacy) {
+                localStorage.removeItem(STORAGE_KEY);
+            }
+            resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+    }).catch((error) => {
+        dbPromise = null; // Allow a later retry
+        throw error;
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Write a run's summary and track into their object stores.
+ * Best efforts are worked out from the track if the run doesn't have them yet.
+ * @param {IDBTransaction} transaction - Read/write transaction over both stores
+ * @param {Object} runData - Run including its compact track
+ * @returns {Object} The stored summary
+ */
+function putRunRecords(transaction, runData) {
+    const { track, rawTrack, ...summary } = runData;
+    summary.trackPoints = track ? track.points.length : 0;
+    if (!summary.bestEfforts) {
+        summary.bestEfforts = computeBestEfforts(expandTrack(track), summary.pauses || []);
+    }
+
+    transaction.objectStore(RUNS_STORE).put(summary);
+    if (track) {
+        transaction.objectStore(TRACKS_STORE).put({ runId: runData.id, track: track, rawTrack: rawTrack || null });
+    } else {
+        // A run replaced by one without a track mustn't keep the old track
+        transaction.objectStore(TRACKS_STORE).delete(runData.id);
+    }
+    return summary;
+}
+
+/**
+ * Mark a run as changed or deleted, so the next sync pushes it.
+ * Only the latest change to each run is kept.
+ * @param {IDBTransaction} transaction - Read/write transaction over the sync store
+ * @param {string} runId - The run's id
+ * @param {boolean} deleted - Whether the run was deleted
+ * @param {number} updatedAt - When the change was made (epoch ms)
+ */
+function queueSync(transaction, runId, deleted, updatedAt) {
+    transaction.objectStore(SYNC_STORE).put({ runId: runId, deleted: deleted, updatedAt: updatedAt });
+}
+
+/**
+ * Update the personal records with a newly stored run
+ * @param {IDBTransaction} transaction - Read/write transaction over the records store
+ * @param {Object} summary - Run summary with best efforts
+ */
+function putRecordsForRun(transaction, summary) {
+    const store = transaction.objectStore(RECORDS_STORE);
+    store.getAll().onsuccess = (event) => {
+        findNewRecords(event.target.result, summary).forEach(({ id, value, runId, date }) => {
+            store.put({ id, value, runId, date });
+        });
+    };
+}
+
+/**
+ * Recalculate every personal record from the stored run summaries.
+ * Used after a run is deleted, since it may have held records.
+ * @param {IDBTransaction} transaction - Read/write transaction over the runs and records stores
+ */
+function rebuildRecords(transaction) {
+    const store = transaction.objectStore(RECORDS_STORE);
+    transaction.objectStore(RUNS_STORE).getAll().onsuccess = (event) => {
+        store.clear();
+        computeRecords(event.target.result).forEach(record => store.put(record));
+    };
+}
+
+/**
+ * Turn a storage failure into a message the user can act on
+ * @param {Error} error - Error from IndexedDB
+ * @returns {string} User-facing message
  */
-function loadRunHistory() {
+function storageErrorMessage(error) {
+    if (error && error.name === 'QuotaExceededError') {
+        return 'Device storage is full. Free up space or delete old runs, then try again.';
+    }
+    return `Could not access run storage: ${error ? error.message : 'unknown error'}`;
+}
+
+/**
+ * Load run history summaries, newest first.
+ * Tracks are not included - use loadRun to get a run with its track.
+ * @returns {Promise<Array>} Array of saved run summaries
+ */
+async function loadRunHistory() {
     try {
-        const stored = localStorage.getItem(STORAGE_KEY);
-        return stored ? JSON.parse(stored) : [];
+        const db = await openRunDatabase();
+        const index = db.transaction(RUNS_STORE).objectStore(RUNS_STORE).index('date');
+        const runs = await requestToPromise(index.getAll());
+        return runs.reverse();
     } catch (error) {
         console.error('Error loading run history:', error);
         return [];
@@ -34,33 +552,386 @@ function loadRunHistory() {
 }
 
 /**
- * Save a run to localStorage
+ * Load a single run including its filtered and raw GPS tracks
+ * @param {string} runId - The ID of the run
+ * @returns {Promise<Object|null>} The run, or null if it doesn't exist
+ */
+async function loadRun(runId) {
+    const db = await openRunDatabase();
+    const transaction = db.transaction([RUNS_STORE, TRACKS_STORE]);
+    const [summary, trackRecord] = await Promise.all([
+        requestToPromise(transaction.objectStore(RUNS_STORE).get(runId)),
+        requestToPromise(transaction.objectStore(TRACKS_STORE).get(runId))
+    ]);
+
+    if (!summary) {
+        return null;
+    }
+    return {
+        ...summary,
+        track: trackRecord ? trackRecord.track : null,
+        rawTrack: trackRecord ? trackRecord.rawTrack || null : null
+    };
+}
+
+/**
+ * Save a run to IndexedDB.
+ * Rejects on failure (including a full disk) so callers can tell the user.
  * @param {Object} runData - The run data to save
+ * @returns {Promise} Resolves once the run is stored
+ */
+async function saveRun(runData) {
+    const db = await openRunDatabase();
+    const transaction = db.transaction([RUNS_STORE, TRACKS_STORE, RECORDS_STORE, SYNC_STORE], 'readwrite');
+    const updatedAt = Date.now();
+    const summary = putRunRecords(transaction, { ...runData, updatedAt: updatedAt });
+    putRecordsForRun(transaction, summary);
+    queueSync(transaction, runData.id, false, updatedAt);
+    await transactionDone(transaction);
+    requestSync();
+}
+
+/**
+ * Change fields on a saved run's summary (e.g. title, notes, tags or date).
+ * Records are rebuilt, since they carry the run's date.
+ * @param {string} runId - The ID of the run
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<Object>} The updated summary
  */
-function saveRun(runData) {
+async function updateRunSummary(runId, changes) {
+    const db = await openRunDatabase();
+    const transaction = db.transaction([RUNS_STORE, RECORDS_STORE, SYNC_STORE], 'readwrite');
+    const store = transaction.objectStore(RUNS_STORE);
+    const summary = await requestToPromise(store.get(runId));
+    if (!summary) {
+        throw new Error('Run not found');
+    }
+    const updated = { ...summary, ...changes, updatedAt: Date.now() };
+    store.put(updated);
+    rebuildRecords(transaction);
+    if (isOwnRun(updated)) {
+        queueSync(transaction, runId, false, updated.updatedAt); // A teammate's run is only changed here
+    }
+    await transactionDone(transaction);
+    requestSync();
+    return updated;
+}
+
+/**
+ * Move your runs from your old runner name to a new one, so runs already
+ * pushed under the old name stay yours after a rename. The moved runs are
+ * queued, so your other devices and teammates get the new name too.
+ * @param {string} oldName - Runner name the runs were pushed under
+ * @param {string} newName - New runner name
+ * @returns {Promise<number>} How many runs were moved
+ */
+async function renameRunOwner(oldName, newName) {
+    const db = await openRunDatabase();
+    const transaction = db.transaction([RUNS_STORE, SYNC_STORE], 'readwrite');
+    const store = transaction.objectStore(RUNS_STORE);
+    const summaries = await requestToPromise(store.getAll());
+    const updatedAt = Date.now();
+    const moved = summaries.filter(summary => summary.owner === oldName);
+    moved.forEach((summary) => {
+        store.put({ ...summary, owner: newName, updatedAt: updatedAt });
+        queueSync(transaction, summary.id, false, updatedAt);
+    });
+    await transactionDone(transaction);
+    requestSync();
+    return moved.length;
+}
+
+/**
+ * Overwrite a saved run and its track, e.g. after trimming.
+ * Records are rebuilt, since the run may no longer hold the ones it had.
+ * @param {Object} runData - The full run, with the same id as the saved one
+ * @returns {Promise} Resolves once the run is stored
+ */
+async function replaceRun(runData) {
+    const db = await openRunDatabase();
+    const transaction = db.transaction([RUNS_STORE, TRACKS_STORE, RECORDS_STORE, SYNC_STORE], 'readwrite');
+    const updatedAt = Date.now();
+    putRunRecords(transaction, { ...runData, updatedAt: updatedAt });
+    rebuildRecords(transaction);
+    if (isOwnRun(runData)) {
+        queueSync(transaction, runData.id, false, updatedAt); // A teammate's run is only changed here
+    }
+    await transactionDone(transaction);
+    requestSync();
+}
+
+/**
+ * Delete a run and its track from history, and drop any records it held.
+ * Deleting a teammate's run only removes it from this device; it isn't
+ * deleted on the server or their devices.
+ * @param {string} runId - The ID of the run to delete
+ * @returns {Promise} Resolves once the run is removed
+ */
+async function deleteRun(runId) {
+    const db = await openRunDatabase();
+    const transaction = db.transaction([RUNS_STORE, TRACKS_STORE, RECORDS_STORE, SYNC_STORE], 'readwrite');
+    const store = transaction.objectStore(RUNS_STORE);
+    const summary = await requestToPromise(store.get(runId));
+    store.delete(runId);
+    transaction.objectStore(TRACKS_STORE).delete(runId);
+    rebuildRecords(transaction);
+    if (!summary || isOwnRun(summary)) {
+        queueSync(transaction, runId, true, Date.now());
+    }
+    await transactionDone(transaction);
+    requestSync();
+}
+
+/**
+ * Load every saved run with its tracks, oldest first (for backups)
+ * @returns {Promise<Array>} Runs in the form saveRun takes
+ */
+async function loadAllRuns() {
+    const db = await openRunDatabase();
+    const transaction = db.transaction([RUNS_STORE, TRACKS_STORE]);
+    const [summaries, trackRecords] = await Promise.all([
+        requestToPromise(transaction.objectStore(RUNS_STORE).index('date').getAll()),
+        requestToPromise(transaction.objectStore(TRACKS_STORE).getAll())
+    ]);
+
+    const tracksById = new Map(trackRecords.map(record => [record.runId, record]));
+    return summaries.map((summary) => {
+        const trackRecord = tracksById.get(summary.id);
+        return {
+            ...summary,
+            track: trackRecord ? trackRecord.track : null,
+            rawTrack: trackRecord ? trackRecord.rawTrack || null : null
+        };
+    });
+}
+
+/**
+ * Save several runs in one go, adding new ones and overwriting any with the
+ * same id, then rebuild the records. Nothing is stored if any run fails.
+ * Runs keep their own last-changed time, so a sync can tell which copy is newer.
+ * @param {Array} runs - Runs including their compact tracks
+ * @returns {Promise} Resolves once every run is stored
+ */
+async function saveRuns(runs) {
+    const db = await openRunDatabase();
+    const transaction = db.transaction([RUNS_STORE, TRACKS_STORE, RECORDS_STORE, SYNC_STORE], 'readwrite');
+    runs.forEach((run) => {
+        putRunRecords(transaction, run);
+        if (isOwnRun(run)) {
+            queueSync(transaction, run.id, false, runUpdatedAt(run));
+        }
+    });
+    rebuildRecords(transaction);
+    await transactionDone(transaction);
+    requestSync();
+}
+
+/**
+ * Load the runs waiting to be pushed to the sync server
+ * @returns {Promise<Array>} Queue entries ({ runId, deleted, updatedAt })
+ */
+async function loadSyncQueue() {
+    const db = await openRunDatabase();
+    return await requestToPromise(db.transaction(SYNC_STORE).objectStore(SYNC_STORE).getAll());
+}
+
+/**
+ * Record that the server accepted a pushed change. The run stays queued if
+ * it was changed again while the push was under way.
+ * @param {string} runId - The run's id
+ * @param {number} updatedAt - Change time that was pushed
+ * @param {number} revision - The server's revision for the run
+ * @returns {Promise} Resolves once stored
+ */
+async function markRunPushed(runId, updatedAt, revision) {
+    const db = await openRunDatabase();
+    const transaction = db.transaction([RUNS_STORE, SYNC_STORE], 'readwrite');
+    const queue = transaction.objectStore(SYNC_STORE);
+    const runs = transaction.objectStore(RUNS_STORE);
+    queue.get(runId).onsuccess = (event) => {
+        const entry = event.target.result;
+        if (entry && entry.updatedAt === updatedAt) {
+            queue.delete(runId);
+        }
+    };
+    runs.get(runId).onsuccess = (event) => {
+        const summary = event.target.result;
+        if (summary && runUpdatedAt(summary) === updatedAt) {
+            runs.put({ ...summary, syncRevision: revision });
+        }
+    };
+    await transactionDone(transaction);
+}
+
+/**
+ * Store changes pulled from the sync server: saved runs are added or
+ * overwritten and deleted ones removed. A change is skipped if this device
+ * has a newer unpushed change to the same run (last writer wins), or already
+ * has that revision (e.g. our own push coming back). Records are rebuilt afterwards.
+ * @param {Array} changes - Server changes ({ id, revision, deleted, updatedAt, run })
+ * @returns {Promise<number>} Number of changes applied
+ */
+async function applyRemoteChanges(changes) {
+    const db = await openRunDatabase();
+    const transaction = db.transaction([RUNS_STORE, TRACKS_STORE, SYNC_STORE], 'readwrite');
+    const queue = transaction.objectStore(SYNC_STORE);
+    const runs = transaction.objectStore(RUNS_STORE);
+    let applied = 0;
+
+    // A malformed run from another client would break history, records and
+    // statistics, so it's skipped. If this device has an unpushed change to
+    // the run, that change is re-queued as newer and based on the bad revision,
+    // so the next push replaces it instead of being turned down every sync.
+    const validChanges = changes.filter((change) => {
+        const problem = change.deleted ? null : validateBackupRun({ ...change.run, id: change.id });
+        if (!problem) {
+            return true;
+        }
+        console.error(`Skipping run ${change.id} from the sync server: ${problem}`);
+        queue.get(change.id).onsuccess = (event) => {
+            if (!event.target.result) return;
+            runs.get(change.id).onsuccess = (runEvent) => {
+                const summary = runEvent.target.result;
+                const updatedAt = Math.max(Date.now(), change.updatedAt + 1);
+                if (summary) {
+                    runs.put({ ...summary, updatedAt: updatedAt, syncRevision: change.revision });
+                }
+                queueSync(transaction, change.id, !summary, updatedAt);
+            };
+        };
+        return false;
+    });
+
+    validChanges.forEach((change) => {
+        queue.get(change.id).onsuccess = (event) => {
+            const pending = event.target.result;
+            if (pending && pending.updatedAt > change.updatedAt) {
+                return; // Ours is newer and will be pushed
+            }
+            runs.get(change.id).onsuccess = (runEvent) => {
+                const summary = runEvent.target.result;
+                if (!pending && (change.deleted ? !summary : summary && summary.syncRevision >= change.revision)) {
+                    return; // Nothing new
+                }
+                queue.delete(change.id);
+                if (change.deleted) {
+                    runs.delete(change.id);
+                    transaction.objectStore(TRACKS_STORE).delete(change.id);
+                } else {
+                    putRunRecords(transaction, { ...change.run, id: change.id, updatedAt: change.updatedAt, syncRevision: change.revision });
+                }
+                applied++;
+            };
+        };
+    });
+    await transactionDone(transaction);
+
+    if (applied > 0) {
+        const recordsTransaction = db.transaction([RUNS_STORE, RECORDS_STORE], 'readwrite');
+        rebuildRecords(recordsTransaction);
+        await transactionDone(recordsTransaction);
+    }
+    return applied;
+}
+
+/**
+ * Load the personal records
+ * @returns {Promise<Array>} Stored records ({ id, value, runId, date })
+ */
+async function loadRecords() {
     try {
-        const history = loadRunHistory();
-        history.unshift(runData); // Add to beginning of array
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+        const db = await openRunDatabase();
+        const store = db.transaction(RECORDS_STORE).objectStore(RECORDS_STORE);
+        return await requestToPromise(store.getAll());
     } catch (error) {
-        console.error('Error saving run:', error);
+        console.error('Error loading personal records:', error);
+        return [];
     }
 }
 
 /**
- * Delete a run from history
- * @param {string} runId - The ID of the run to delete
+ * Checkpoint the in-progress run so it survives a crash or reload
+ * @param {Object} session - Snapshot of the active run
+ * @returns {Promise} Resolves once the checkpoint is stored
+ */
+async function saveActiveSession(session) {
+    const db = await openRunDatabase();
+    const transaction = db.transaction(SESSION_STORE, 'readwrite');
+    transaction.objectStore(SESSION_STORE).put({ ...session, id: ACTIVE_SESSION_ID });
+    await transactionDone(transaction);
+}
+
+/**
+ * Load the checkpoint of an unfinished run, if there is one
+ * @returns {Promise<Object|null>} The checkpointed session, or null
+ */
+async function loadActiveSession() {
+    try {
+        const db = await openRunDatabase();
+        const store = db.transaction(SESSION_STORE).objectStore(SESSION_STORE);
+        const session = await requestToPromise(store.get(ACTIVE_SESSION_ID));
+        return session || null;
+    } catch (error) {
+        console.error('Error loading active session:', error);
+        return null;
+    }
+}
+
+/**
+ * Remove the active run checkpoint once the run is saved or discarded
+ * @returns {Promise} Resolves once the checkpoint is removed
+ */
+async function clearActiveSession() {
+    try {
+        const db = await openRunDatabase();
+        const transaction = db.transaction(SESSION_STORE, 'readwrite');
+        transaction.objectStore(SESSION_STORE).delete(ACTIVE_SESSION_ID);
+        await transactionDone(transaction);
+    } catch (error) {
+        console.error('Error clearing active session:', error);
+    }
+}
+
+/**
+ * Load saved interval workouts, sorted by name
+ * @returns {Promise<Array>} Saved workouts
  */
-function deleteRun(runId) {
+async function loadWorkouts() {
     try {
-        const history = loadRunHistory();
-        const filtered = history.filter(run => run.id !== runId);
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(filtered));
+        const db = await openRunDatabase();
+        const store = db.transaction(WORKOUTS_STORE).objectStore(WORKOUTS_STORE);
+        const workouts = await requestToPromise(store.getAll());
+        return workouts.sort((a, b) => a.name.localeCompare(b.name));
     } catch (error) {
-        console.error('Error deleting run:', error);
+        console.error('Error loading workouts:', error);
+        return [];
     }
 }
 
+/**
+ * Save an interval workout for reuse
+ * @param {Object} workout - Workout with an id
+ * @returns {Promise} Resolves once the workout is stored
+ */
+async function saveWorkout(workout) {
+    const db = await openRunDatabase();
+    const transaction = db.transaction(WORKOUTS_STORE, 'readwrite');
+    transaction.objectStore(WORKOUTS_STORE).put(workout);
+    await transactionDone(transaction);
+}
+
+/**
+ * Delete a saved interval workout
+ * @param {string} workoutId - The ID of the workout to delete
+ * @returns {Promise} Resolves once the workout is removed
+ */
+async function deleteWorkout(workoutId) {
+    const db = await openRunDatabase();
+    const transaction = db.transaction(WORKOUTS_STORE, 'readwrite');
+    transaction.objectStore(WORKOUTS_STORE).delete(workoutId);
+    await transactionDone(transaction);
+}
+
 // ========================================
 // HELPER FUNCTIONS
 // ========================================
@@ -106,21 +977,102 @@ function formatTime(seconds) {
 }
 
 /**
- * Format pace as MM:SS/km
+ * Get the display units chosen in settings
+ * @returns {Object} Entry from UNIT_SYSTEMS
+ */
+function currentUnits() {
+    return UNIT_SYSTEMS[appSettings.units] || UNIT_SYSTEMS.metric;
+}
+
+/**
+ * Get the locale chosen in settings
+ * @returns {string|undefined} BCP 47 locale, or undefined to follow the browser
+ */
+function currentLocale() {
+    return appSettings.locale || undefined;
+}
+
+/**
+ * Format pace as MM:SS per km or mile, following the units setting
  * @param {number} secondsPerKm - Pace in seconds per kilometre
- * @returns {string} Formatted pace string
+ * @returns {string} Formatted pace string (without the unit)
  */
 function formatPace(secondsPerKm) {
     if (!isFinite(secondsPerKm) || secondsPerKm <= 0) {
         return "–:–";
     }
-    const minutes = Math.floor(secondsPerKm / 60);
-    const seconds = Math.floor(secondsPerKm % 60);
+    // Rounded first so a pace typed per mile reads back exactly
+    const secondsPerUnit = Math.round(secondsPerKm * currentUnits().distanceMeters) / 1000;
+    const minutes = Math.floor(secondsPerUnit / 60);
+    const seconds = Math.floor(secondsPerUnit % 60);
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 }
 
 /**
- * Format date for display
+ * Format pace with its unit, e.g. "4:30/km" or "7:15/mi"
+ * @param {number} secondsPerKm - Pace in seconds per kilometre
+ * @returns {string} Formatted pace
+ */
+function formatPaceWithUnit(secondsPerKm) {
+    return `${formatPace(secondsPerKm)}/${currentUnits().distance}`;
+}
+
+/**
+ * Parse a pace typed as M:SS (or plain minutes) per km or mile, following the units setting
+ * @param {string} text - Pace text, e.g. "4:30"
+ * @returns {number|null} Pace in seconds per km, or null if blank or invalid
+ */
+function parsePace(text) {
+    const match = String(text).trim().match(/^(\d+)(?::(\d{1,2}))?$/);
+    if (!match) {
+        return null;
+    }
+    const seconds = parseInt(match[1], 10) * 60 + (match[2] ? parseInt(match[2], 10) : 0);
+    return seconds > 0 ? seconds * 1000 / currentUnits().distanceMeters : null;
+}
+
+/**
+ * Format a number for the chosen locale
+ * @param {number} value - The number
+ * @param {number} decimals - Fixed number of decimal places
+ * @returns {string} e.g. "3.10" or "3,10"
+ */
+function formatNumber(value, decimals) {
+    return value.toLocaleString(currentLocale(), { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+/**
+ * Format a distance in km or miles, following the units setting
+ * @param {number} meters - Distance in metres
+ * @param {number} decimals - Decimal places
+ * @returns {string} Formatted distance (without the unit)
+ */
+function formatDistance(meters, decimals = 2) {
+    return formatNumber(meters / currentUnits().distanceMeters, decimals);
+}
+
+/**
+ * Format a distance with its unit, e.g. "5.00 km" or "3.11 mi"
+ * @param {number} meters - Distance in metres
+ * @param {number} decimals - Decimal places
+ * @returns {string} Formatted distance
+ */
+function formatDistanceWithUnit(meters, decimals = 2) {
+    return `${formatDistance(meters, decimals)} ${currentUnits().distance}`;
+}
+
+/**
+ * Format an elevation or climb in metres or feet, following the units setting
+ * @param {number} meters - Height in metres
+ * @returns {string} e.g. "120 m" or "394 ft"
+ */
+function formatElevation(meters) {
+    const units = currentUnits();
+    return `${formatNumber(Math.round(meters / units.elevationMeters), 0)} ${units.elevation}`;
+}
+
+/**
+ * Format date for display in the chosen locale
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted date string
  */
@@ -133,418 +1085,5748 @@ function formatDate(dateString) {
         hour: '2-digit',
         minute: '2-digit'
     };
-    return date.toLocaleDateString('en-US', options);
+    return date.toLocaleDateString(currentLocale(), options);
 }
 
 /**
- * Speak text using Web Speech API
- * @param {string} text - Text to speak
+ * Convert an ISO date to the local-time value a datetime-local input expects
+ * @param {string} dateString - ISO date string
+ * @returns {string} e.g. "2026-03-03T07:45"
  */
-function speak(text) {
-    if ('speechSynthesis' in window) {
-        // Cancel any ongoing speech
+function toDateTimeLocal(dateString) {
+    const date = new Date(dateString);
+    const pad = (n) => n.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Trigger a browser download of generated file content
+ * @param {string} filename - Name for the downloaded file
+ * @param {string|Blob} content - File content
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Build a filesystem-friendly base name for a run export
+ * @param {Object} run - Saved run
+ * @returns {string} File name without extension, e.g. "run-2024-03-03-0715"
+ */
+function runFileName(run) {
+    const date = new Date(run.date);
+    const pad = (n) => n.toString().padStart(2, '0');
+    return `run-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+}
+
+/**
+ * Escape text for use in XML content or attributes
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format the difference between two paces as +M:SS or -M:SS per km or mile
+ * @param {number} diffSeconds - Pace difference in seconds per km (positive = slower)
+ * @returns {string} Formatted difference
+ */
+function formatPaceDiff(diffSeconds) {
+    if (!isFinite(diffSeconds)) {
+        return "–:–";
+    }
+    const sign = diffSeconds < 0 ? '-' : '+';
+    const abs = Math.floor(Math.round(Math.abs(diffSeconds) * currentUnits().distanceMeters) / 1000);
+    return `${sign}${Math.floor(abs / 60)}:${(abs % 60).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Speak text using Web Speech API, with the voice, rate and volume from the
+ * coaching settings. Does nothing when voice coaching is turned off.
+ * @param {string} text - Text to speak
+ */
+function speak(text) {
+    const coaching = appSettings.coaching;
+    if ('speechSynthesis' in window && coaching.enabled) {
+        // Cancel any ongoing speech
         window.speechSynthesis.cancel();
         
         const utterance = new SpeechSynthesisUtterance(text);
-        utterance.rate = 1.0;
+        const voice = window.speechSynthesis.getVoices().find(v => v.voiceURI === coaching.voiceURI);
+        if (voice) {
+            utterance.voice = voice;
+        }
+        utterance.rate = coaching.rate;
         utterance.pitch = 1.0;
-        utterance.volume = 1.0;
+        utterance.volume = coaching.volume;
         window.speechSynthesis.speak(utterance);
     }
 }
 
+/**
+ * Speak a status cue such as "Paused" - skipped in quiet mode
+ * @param {string} text - Text to speak
+ */
+function speakCue(text) {
+    if (!appSettings.coaching.quiet) {
+        speak(text);
+    }
+}
+
 // ========================================
-// COMPONENTS
+// VOICE COACHING
+// ========================================
+
+/**
+ * Fill {placeholders} in a message template
+ * @param {string} template - e.g. "Current pace: {currentPace} {paceUnit}."
+ * @param {Object} values - Placeholder values
+ * @returns {string} Filled message (unknown placeholders are left empty)
+ */
+function fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (hasValue(values[name]) ? values[name] : '')).trim();
+}
+
+/**
+ * Describe a duration in words for speech
+ * @param {number} totalSeconds - Duration in seconds
+ * @returns {string} e.g. "1 hour 5 minutes 30 seconds"
+ */
+function formatSpokenTime(totalSeconds) {
+    const rounded = Math.round(totalSeconds);
+    const hours = Math.floor(rounded / 3600);
+    const minutes = Math.floor((rounded % 3600) / 60);
+    const seconds = rounded % 60;
+    return [
+        hours > 0 ? `${hours} hour${hours === 1 ? '' : 's'}` : null,
+        minutes > 0 ? `${minutes} minute${minutes === 1 ? '' : 's'}` : null,
+        seconds > 0 || rounded === 0 ? `${seconds} second${seconds === 1 ? '' : 's'}` : null
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * Pick the pace feedback message for how far the pace is off target
+ * @param {number} paceDiff - Pace minus target in seconds per km (positive = slower)
+ * @param {number} tolerance - Seconds per km that still count as close
+ * @returns {string} Id from COACHING_FEEDBACK
+ */
+function paceFeedback(paceDiff, tolerance) {
+    if (paceDiff < -tolerance) {
+        return 'wellAhead';
+    } else if (paceDiff < 0) {
+        return 'onPace';
+    } else if (paceDiff < tolerance) {
+        return 'behind';
+    }
+    return 'wellBehind';
+}
+
+/**
+ * Describe the time against a pacing plan for voice announcements
+ * @param {number} gapSeconds - Seconds ahead of the plan, negative when behind
+ * @returns {string} e.g. "12 seconds ahead of plan"
+ */
+function formatPlanGap(gapSeconds) {
+    const seconds = Math.round(Math.abs(gapSeconds));
+    if (seconds === 0) {
+        return 'Right on plan';
+    }
+    return `${seconds} ${seconds === 1 ? 'second' : 'seconds'} ${gapSeconds > 0 ? 'ahead of' : 'behind'} plan`;
+}
+
+/**
+ * Build an interval announcement from the coaching settings
+ * @param {Object} coaching - Coaching settings
+ * @param {Object} stats - Current run: { distanceMeters, elapsedTime, currentPace,
+ *   gradeAdjustedPace, averagePace, lastSplit, targetDistance (km), targetPace, requiredPace, planGap, ghostGap }
+ *   with paces in seconds per km; missing values are left out of the message.
+ *   requiredPace is only given in finish-time mode, and planGap (seconds ahead of
+ *   the pacing plan, negative when behind) only with a pacing plan.
+ * @returns {string|null} Message to speak, or null if there's nothing to say
+ */
+function buildCoachingMessage(coaching, stats) {
+    const units = currentUnits();
+    const remainingMeters = stats.targetDistance > 0 ? stats.targetDistance * 1000 - stats.distanceMeters : null;
+    const hasRemaining = remainingMeters !== null && remainingMeters > 0;
+    const comparisonPace = hasValue(stats.gradeAdjustedPace) ? stats.gradeAdjustedPace : stats.currentPace;
+    const feedback = hasValue(stats.targetPace) && hasValue(comparisonPace)
+        ? paceFeedback(comparisonPace - stats.targetPace, coaching.paceTolerance)
+        : null;
+
+    // Quiet mode only speaks up when the pace is well off target
+    if (coaching.quiet && feedback !== 'wellAhead' && feedback !== 'wellBehind') {
+        return null;
+    }
+
+    // Spoken numbers stay in English format whatever the display locale
+    const values = {
+        distanceUnit: units.spokenDistance,
+        paceUnit: units.spokenPace,
+        splitUnit: units.spokenUnit,
+        distance: (stats.distanceMeters / units.distanceMeters).toFixed(1),
+        elapsedTime: formatSpokenTime(stats.elapsedTime),
+        split: stats.lastSplit ? formatSpokenTime(stats.lastSplit.time) : null,
+        currentPace: hasValue(stats.currentPace) ? formatPace(stats.currentPace) : null,
+        gradeAdjustedPace: hasValue(stats.gradeAdjustedPace) ? formatPace(stats.gradeAdjustedPace) : null,
+        averagePace: hasValue(stats.averagePace) ? formatPace(stats.averagePace) : null,
+        requiredPace: stats.requiredPace > 0 ? formatPace(stats.requiredPace) : null,
+        remainingDistance: hasRemaining ? (remainingMeters / units.distanceMeters).toFixed(1) : null,
+        projectedFinish: hasRemaining && hasValue(stats.averagePace)
+            ? formatSpokenTime(stats.elapsedTime + remainingMeters / 1000 * stats.averagePace)
+            : null,
+        plan: hasValue(stats.planGap) ? formatPlanGap(stats.planGap) : null,
+        ghost: stats.ghostGap || null
+    };
+
+    const parts = [];
+    COACHING_FIELDS.forEach((field) => {
+        if (!coaching.fields[field.id] || !hasValue(values[field.id])) return;
+        parts.push(fillTemplate(coaching.templates[field.id], values));
+        if (field.id === 'currentPace' && values.gradeAdjustedPace !== null) {
+            parts.push(fillTemplate(coaching.templates.gradeAdjustedPace, values));
+        }
+    });
+    if (feedback) {
+        parts.push(fillTemplate(coaching.templates[feedback], values));
+    }
+
+    const message = parts.filter(Boolean).join(' ');
+    return message || null;
+}
+
+/**
+ * Get the distance between interval announcements
+ * @param {Object} coaching - Coaching settings
+ * @returns {number|null} Meters, or null when distance announcements are off
+ */
+function coachingDistanceInterval(coaching) {
+    const meters = coaching.distanceInterval * currentUnits().distanceMeters;
+    return coaching.distanceTrigger && meters > 0 ? meters : null;
+}
+
+/**
+ * Get the time between interval announcements
+ * @param {Object} coaching - Coaching settings
+ * @returns {number|null} Seconds, or null when time announcements are off
+ */
+function coachingTimeInterval(coaching) {
+    const seconds = coaching.timeIntervalMinutes * 60;
+    return coaching.timeTrigger && seconds > 0 ? seconds : null;
+}
+
+/**
+ * Check whether a value has passed the next multiple of an interval since the last announcement
+ * @param {number} value - Current distance or time
+ * @param {number} lastValue - Distance or time at the last announcement
+ * @param {number|null} interval - Announcement interval, or null when off
+ * @returns {boolean} True when an announcement is due
+ */
+function announcementDue(value, lastValue, interval) {
+    return interval !== null && Math.floor(value / interval) > Math.floor(lastValue / interval);
+}
+
+// ========================================
+// TRACK HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Check that an optional numeric field is present
+ * @param {*} value - Field value
+ * @returns {boolean} True unless the value is null or undefined
+ */
+function hasValue(value) {
+    return value !== null && value !== undefined;
+}
+
+/**
+ * Compact GPS points for storage.
+ * Coordinates, time offsets and altitude are stored as integer deltas from
+ * the previous point, which keeps the saved JSON small.
+ * @param {Array} points - GPS points ({ lat, lon, timestamp, accuracy, altitude, altitudeAccuracy })
+ * @returns {Object|null} Compact track, or null if there are no points
+ */
+function compactTrack(points) {
+    if (!points || points.length === 0) {
+        return null;
+    }
+
+    const rows = [];
+    let prev = { lat: 0, lon: 0, time: points[0].timestamp, alt: 0 };
+
+    points.forEach((point) => {
+        const lat = Math.round(point.lat * TRACK_COORD_SCALE);
+        const lon = Math.round(point.lon * TRACK_COORD_SCALE);
+        const time = Math.round(point.timestamp);
+        const alt = hasValue(point.altitude) ? Math.round(point.altitude * TRACK_ALTITUDE_SCALE) : null;
+
+        rows.push([
+            lat - prev.lat,
+            lon - prev.lon,
+            time - prev.time,
+            point.accuracy === null ? null : Math.round(point.accuracy),
+            alt === null ? null : alt - prev.alt,
+            hasValue(point.altitudeAccuracy) ? Math.round(point.altitudeAccuracy) : null
+        ]);
+
+        prev = { lat, lon, time, alt: alt === null ? prev.alt : alt };
+    });
+
+    return { start: points[0].timestamp, points: rows };
+}
+
+/**
+ * Expand a compact track back into GPS points
+ * @param {Object} track - Compact track produced by compactTrack
+ * @returns {Array} GPS points ({ lat, lon, timestamp, accuracy, altitude, altitudeAccuracy })
+ */
+function expandTrack(track) {
+    if (!track || !Array.isArray(track.points)) {
+        return [];
+    }
+
+    let lat = 0;
+    let lon = 0;
+    let time = track.start;
+    let alt = 0;
+
+    return track.points.map(([dLat, dLon, dTime, accuracy, dAlt, altitudeAccuracy]) => {
+        lat += dLat;
+        lon += dLon;
+        time += dTime;
+        if (dAlt !== null) {
+            alt += dAlt;
+        }
+
+        return {
+            lat: lat / TRACK_COORD_SCALE,
+            lon: lon / TRACK_COORD_SCALE,
+            timestamp: time,
+            accuracy: accuracy,
+            altitude: dAlt === null ? null : alt / TRACK_ALTITUDE_SCALE,
+            altitudeAccuracy: hasValue(altitudeAccuracy) ? altitudeAccuracy : null // Absent in older tracks
+        };
+    });
+}
+
+/**
+ * Project GPS points onto a flat x/y plane for drawing.
+ * Uses an equirectangular projection, which is accurate enough at run scale.
+ * @param {Array} points - GPS points
+ * @param {number} width - Drawing width
+ * @param {number} height - Drawing height
+ * @param {number} padding - Padding around the route
+ * @returns {Array} Array of { x, y } coordinates
+ */
+function projectTrack(points, width, height, padding) {
+    const lats = points.map(p => p.lat);
+    const lons = points.map(p => p.lon);
+    const minLat = Math.min(...lats);
+    const maxLat = Math.max(...lats);
+    const minLon = Math.min(...lons);
+    const maxLon = Math.max(...lons);
+
+    const lonScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+    const spanX = Math.max((maxLon - minLon) * lonScale, 1e-9);
+    const spanY = Math.max(maxLat - minLat, 1e-9);
+    const scale = Math.min((width - padding * 2) / spanX, (height - padding * 2) / spanY);
+
+    // Center the route in the drawing area
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (height - spanY * scale) / 2;
+
+    return points.map(p => ({
+        x: offsetX + (p.lon - minLon) * lonScale * scale,
+        y: height - (offsetY + (p.lat - minLat) * scale)
+    }));
+}
+
+/**
+ * Calculate time, distance and average pace from a list of GPS points.
+ * Matches the fields handleFinish stores on a run.
+ * @param {Array} points - GPS points with timestamps
+ * @returns {Object} { time, distance, avgPace } - seconds, km string, seconds per km
+ */
+function summarizeTrack(points) {
+    let totalMeters = 0;
+    for (let i = 1; i < points.length; i++) {
+        totalMeters += haversineDistance(
+            points[i - 1].lat,
+            points[i - 1].lon,
+            points[i].lat,
+            points[i].lon
+        );
+    }
+
+    const time = points.length > 1
+        ? Math.round((points[points.length - 1].timestamp - points[0].timestamp) / 1000)
+        : 0;
+    const distanceKm = (totalMeters / 1000).toFixed(2);
+
+    return {
+        time: time,
+        distance: distanceKm,
+        avgPace: time / parseFloat(distanceKm)
+    };
+}
+
+/**
+ * Calculate the rolling pace over the most recent part of a track.
+ * Uses the GPS points covering the last windowSeconds (starting from the
+ * last point at or before the window start), so the result depends only on
+ * the timestamped track and not on how often the UI renders.
+ * @param {Array} points - GPS points with timestamps, oldest first
+ * @param {number} windowSeconds - Length of the time window
+ * @returns {number|null} Pace in seconds per km, or null if there isn't enough movement
+ */
+function computeRollingPace(points, windowSeconds) {
+    if (points.length < 2) {
+        return null;
+    }
+
+    const latest = points[points.length - 1];
+    const windowStart = latest.timestamp - windowSeconds * 1000;
+
+    let startIndex = points.length - 2;
+    while (startIndex > 0 && points[startIndex].timestamp > windowStart) {
+        startIndex--;
+    }
+
+    // Don't stretch the window across a long gap (e.g. a pause)
+    if (points[startIndex].timestamp < windowStart - windowSeconds * 1000) {
+        startIndex++;
+        if (startIndex >= points.length - 1) {
+            return null;
+        }
+    }
+
+    let meters = 0;
+    for (let i = startIndex + 1; i < points.length; i++) {
+        meters += haversineDistance(points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon);
+    }
+    const seconds = (latest.timestamp - points[startIndex].timestamp) / 1000;
+
+    if (meters < 1 || seconds <= 0) {
+        return null; // Standing still or no time elapsed
+    }
+    return seconds / (meters / 1000);
+}
+
+/**
+ * Relative energy cost of running on a grade compared to the flat.
+ * Based on Minetti et al. (2002), clamped to the grades it was measured over.
+ * @param {number} grade - Rise over run (0.1 = 10% uphill)
+ * @returns {number} Cost multiplier (1 on the flat)
+ */
+function gradeCostFactor(grade) {
+    const i = Math.max(-0.45, Math.min(0.45, grade));
+    const cost = 155.4 * Math.pow(i, 5) - 30.4 * Math.pow(i, 4) - 43.3 * Math.pow(i, 3) +
+        46.3 * i * i + 19.5 * i + 3.6;
+    return cost / 3.6;
+}
+
+/**
+ * Calculate the flat-ground distance that would take the same effort as a
+ * stretch of hilly track. Grades are measured over GRADE_SEGMENT_METERS
+ * chunks so altitude noise on short steps doesn't dominate.
+ * @param {Array} points - GPS points with smoothed altitude
+ * @returns {Object|null} { meters, equivalentMeters }, or null if altitude is missing
+ */
+function gradeAdjustedDistance(points) {
+    let meters = 0;
+    let equivalentMeters = 0;
+    let chunkMeters = 0;
+    let chunkStartAltitude = null;
+
+    for (let i = 0; i < points.length; i++) {
+        if (!hasValue(points[i].altitude)) {
+            return null;
+        }
+        if (i === 0) {
+            chunkStartAltitude = points[i].altitude;
+            continue;
+        }
+
+        chunkMeters += haversineDistance(points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon);
+
+        const lastPoint = i === points.length - 1;
+        if (chunkMeters >= GRADE_SEGMENT_METERS || (lastPoint && chunkMeters > 0)) {
+            const grade = (points[i].altitude - chunkStartAltitude) / chunkMeters;
+            meters += chunkMeters;
+            equivalentMeters += chunkMeters * gradeCostFactor(grade);
+            chunkMeters = 0;
+            chunkStartAltitude = points[i].altitude;
+        }
+    }
+
+    return { meters, equivalentMeters };
+}
+
+/**
+ * Calculate the grade over the last GRADE_SEGMENT_METERS of a track.
+ * The pace window is too short to measure a slope reliably from GPS
+ * altitude, so the grade is taken over a fixed distance instead.
+ * @param {Array} points - GPS points with smoothed altitude, oldest first
+ * @returns {number|null} Rise over run, or null without enough track or altitude
+ */
+function currentGrade(points) {
+    const latest = points[points.length - 1];
+    if (!latest || !hasValue(latest.altitude)) {
+        return null;
+    }
+
+    let meters = 0;
+    for (let i = points.length - 2; i >= 0; i--) {
+        if (!hasValue(points[i].altitude)) {
+            return null;
+        }
+        meters += haversineDistance(points[i].lat, points[i].lon, points[i + 1].lat, points[i + 1].lon);
+        if (meters >= GRADE_SEGMENT_METERS) {
+            return (latest.altitude - points[i].altitude) / meters;
+        }
+    }
+    return null;
+}
+
+/**
+ * Calculate the rolling grade-adjusted pace - the flat-ground pace that takes
+ * the same effort as the current pace on the current slope
+ * @param {Array} points - GPS points with smoothed altitude, oldest first
+ * @param {number} windowSeconds - Length of the time window
+ * @returns {number|null} Pace in seconds per km, or null without movement or altitude
+ */
+function computeRollingGradeAdjustedPace(points, windowSeconds) {
+    const pace = computeRollingPace(points, windowSeconds);
+    const grade = currentGrade(points);
+    if (pace === null || grade === null) {
+        return null;
+    }
+    return pace / gradeCostFactor(grade);
+}
+
+/**
+ * Calculate total ascent and descent along a track.
+ * A change only counts once it exceeds ELEVATION_HYSTERESIS_METERS from the
+ * last counted altitude, so small wobbles don't add up to phantom climbing.
+ * @param {Array} points - GPS points with smoothed altitude
+ * @returns {Object} { ascent, descent } in meters
+ */
+function computeElevationChange(points) {
+    let ascent = 0;
+    let descent = 0;
+    let reference = null;
+
+    points.forEach((point) => {
+        if (!hasValue(point.altitude)) return;
+
+        if (reference === null) {
+            reference = point.altitude;
+        } else if (point.altitude - reference >= ELEVATION_HYSTERESIS_METERS) {
+            ascent += point.altitude - reference;
+            reference = point.altitude;
+        } else if (reference - point.altitude >= ELEVATION_HYSTERESIS_METERS) {
+            descent += reference - point.altitude;
+            reference = point.altitude;
+        }
+    });
+
+    return { ascent, descent };
+}
+
+/**
+ * Calculate the elevation fields stored on a run
+ * @param {Array} points - GPS points with smoothed altitude
+ * @param {number} time - Seconds the track took (moving time)
+ * @returns {Object} { ascent, descent, gradeAdjustedPace } - whole meters and seconds per km (null without altitude)
+ */
+function summarizeElevation(points, time) {
+    const elevation = computeElevationChange(points);
+    const adjusted = gradeAdjustedDistance(points);
+
+    return {
+        ascent: Math.round(elevation.ascent),
+        descent: Math.round(elevation.descent),
+        gradeAdjustedPace: adjusted && adjusted.equivalentMeters > 0
+            ? time / (adjusted.equivalentMeters / 1000)
+            : null
+    };
+}
+
+/**
+ * Calculate average pace over the whole run
+ * @param {number} elapsedSeconds - Elapsed run time
+ * @param {number} distanceMeters - Distance run
+ * @returns {number|null} Pace in seconds per km, or null if insufficient data
+ */
+function computeAveragePace(elapsedSeconds, distanceMeters) {
+    const distanceKm = distanceMeters / 1000;
+    if (distanceKm < 0.01 || elapsedSeconds < 1) {
+        return null; // Not enough data
+    }
+    return elapsedSeconds / distanceKm;
+}
+
+/**
+ * Project the finish time over the target distance at the average pace so far
+ * @param {number} elapsedSeconds - Moving time so far
+ * @param {number} distanceMeters - Distance run
+ * @param {number} targetDistanceKm - Target distance
+ * @returns {number|null} Projected finish in seconds, or null without enough data or once past the target
+ */
+function computeProjectedFinish(elapsedSeconds, distanceMeters, targetDistanceKm) {
+    const averagePace = computeAveragePace(elapsedSeconds, distanceMeters);
+    const remainingKm = targetDistanceKm - distanceMeters / 1000;
+    if (averagePace === null || remainingKm <= 0) {
+        return null;
+    }
+    return elapsedSeconds + remainingKm * averagePace;
+}
+
+/**
+ * Work out the pace needed over the remaining distance to finish in a goal time
+ * @param {number} goalFinishTime - Goal time for the whole target distance, in seconds
+ * @param {number} elapsedSeconds - Moving time so far
+ * @param {number} distanceMeters - Distance run
+ * @param {number} targetDistanceKm - Target distance
+ * @returns {number|null} Pace in seconds per km; 0 once the goal time has passed
+ *   (no pace is fast enough), or null once the target distance is reached
+ */
+function computeRequiredPace(goalFinishTime, elapsedSeconds, distanceMeters, targetDistanceKm) {
+    const remainingKm = targetDistanceKm - distanceMeters / 1000;
+    if (remainingKm <= 0) {
+        return null;
+    }
+    return Math.max(0, goalFinishTime - elapsedSeconds) / remainingKm;
+}
+
+/**
+ * Compare a finished run against its finish-time goal, using the moving time
+ * at which the track reached the target distance
+ * @param {Object} run - Run record with goalFinishTime, targetDistance, track and pauses
+ * @returns {Object|null} { goalTime, actualTime, margin } - actualTime and margin (positive
+ *   when faster than the goal) are null if the target was not reached. Null without a finish-time goal.
+ */
+function computeFinishGoalResult(run) {
+    if (!run || !run.goalFinishTime || !run.targetDistance) {
+        return null;
+    }
+    const atTarget = run.track ? interpolateGhost(createGhost(run).curve, 'distance', run.targetDistance * 1000) : null;
+    const actualTime = atTarget ? Math.round(atTarget.time) : null;
+    return {
+        goalTime: run.goalFinishTime,
+        actualTime: actualTime,
+        margin: actualTime !== null ? run.goalFinishTime - actualTime : null
+    };
+}
+
+/**
+ * Parse a time typed as H:MM:SS, MM:SS or plain minutes
+ * @param {string} text - Time text, e.g. "1:45:00" or "24:30"
+ * @returns {number|null} Seconds, or null if blank or invalid
+ */
+function parseDuration(text) {
+    const match = String(text).trim().match(/^(\d+)(?::(\d{1,2}))?(?::(\d{1,2}))?$/);
+    if (!match) {
+        return null;
+    }
+    const parts = match.slice(1).filter(hasValue).map(part => parseInt(part, 10));
+    const seconds = parts.length === 1 ? parts[0] * 60 : parts.reduce((total, part) => total * 60 + part, 0);
+    return seconds > 0 ? seconds : null;
+}
+
+/**
+ * Build the run record shown in the summary and saved to history
+ * @param {Object} run - Run state at finish
+ * @param {number} run.movingTime - Timer time in seconds, excluding pauses
+ * @param {number} run.startedAt - Wall-clock start of the run (epoch ms)
+ * @param {number} run.finishedAt - Wall-clock end of the run (epoch ms)
+ * @param {number} run.distanceMeters - Distance run in meters
+ * @param {Array} run.points - Filtered GPS points recorded during the run
+ * @param {Array} run.rawPoints - Raw GPS fixes, kept so the run can be re-processed
+ * @param {Array} run.pauses - Manual and auto-pause intervals { start, end }
+ * @param {number} run.goalPace - Goal pace in seconds per km
+ * @param {number|null} run.goalFinishTime - Goal time for the target distance in seconds (finish-time mode)
+ * @param {number} run.targetDistance - Target distance in km
+ * @param {Object|null} run.pacingPlan - Pacing plan from buildPacingPlan
+ * @param {Object|null} run.workout - Interval workout result from buildWorkoutRecord
+ * @param {Object|null} run.tracking - GPS and tracking settings the run was recorded with
+ * @param {boolean} run.replay - Whether the run replayed a recorded track (it doesn't count towards records)
+ * @returns {Object} Run record (without notes and id)
+ */
+function buildRunRecord({ movingTime, startedAt, finishedAt, distanceMeters, points, rawPoints, pauses, goalPace, goalFinishTime = null, targetDistance, pacingPlan = null, workout = null, tracking = null, replay = false }) {
+    const distanceKm = (distanceMeters / 1000).toFixed(2);
+    const avgPace = movingTime / parseFloat(distanceKm);
+
+    return {
+        time: movingTime, // Average pace and splits are based on moving time
+        movingTime: movingTime,
+        elapsedTime: Math.round((finishedAt - startedAt) / 1000),
+        distance: distanceKm,
+        avgPace: avgPace,
+        ...summarizeElevation(points, movingTime),
+        date: new Date(finishedAt).toISOString(),
+        goalPace: goalPace,
+        goalFinishTime: goalFinishTime,
+        targetDistance: targetDistance,
+        pacingPlan: pacingPlan,
+        pauses: pauses,
+        workout: workout,
+        tracking: tracking,
+        replay: replay,
+        splits: computeSplits(points, SPLIT_DISTANCE_METERS, pauses),
+        bestEfforts: computeBestEfforts(points, pauses),
+        track: compactTrack(points),
+        rawTrack: compactTrack(rawPoints)
+    };
+}
+
+/**
+ * Cut the start and/or end off a saved run's track and recalculate
+ * everything derived from it (distance, times, pace, splits, elevation,
+ * best efforts). Raw fixes and pauses are clipped to the kept time range.
+ * Distance, splits and best efforts all leave out GPS drift while paused,
+ * so the splits add up to the distance.
+ * The run's date, notes and other details are kept.
+ * @param {Object} run - Saved run with its tracks (from loadRun)
+ * @param {number} startIndex - First track point to keep
+ * @param {number} endIndex - Last track point to keep
+ * @returns {Object} The trimmed run, ready for replaceRun
+ */
+function trimRun(run, startIndex, endIndex) {
+    const points = expandTrack(run.track).slice(startIndex, endIndex + 1);
+    const startedAt = points[0].timestamp;
+    const finishedAt = points[points.length - 1].timestamp;
+    const rawPoints = expandTrack(run.rawTrack).filter(p => p.timestamp >= startedAt && p.timestamp <= finishedAt);
+    const pauses = clipPauses(run.pauses || [], startedAt, finishedAt);
+    const distances = cumulativeDistances(points, pauses);
+
+    const trimmed = buildRunRecord({
+        movingTime: Math.round((finishedAt - startedAt - pausedMsBefore(pauses, finishedAt)) / 1000),
+        startedAt: startedAt,
+        finishedAt: finishedAt,
+        distanceMeters: distances[distances.length - 1],
+        points: points,
+        rawPoints: rawPoints,
+        pauses: pauses,
+        goalPace: run.goalPace,
+        goalFinishTime: run.goalFinishTime || null,
+        targetDistance: run.targetDistance,
+        pacingPlan: run.pacingPlan || null,
+        workout: run.workout || null,
+        tracking: run.tracking || null,
+        replay: !!run.replay
+    });
+
+    return { ...run, ...trimmed, date: run.date };
+}
+
+/**
+ * Clip pause intervals to part of a run, dropping any that fall outside it
+ * @param {Array} pauses - Pause intervals { start, end } in epoch ms (end null if still paused)
+ * @param {number} startedAt - Start of the part in epoch ms
+ * @param {number} finishedAt - End of the part in epoch ms
+ * @returns {Array} Closed pause intervals within the part
+ */
+function clipPauses(pauses, startedAt, finishedAt) {
+    return pauses
+        .map(pause => ({
+            start: Math.max(pause.start, startedAt),
+            end: Math.min(pause.end === null ? finishedAt : pause.end, finishedAt)
+        }))
+        .filter(pause => pause.end > pause.start);
+}
+
+/**
+ * Calculate cumulative distance along a list of GPS points.
+ * Like the live run, a point recorded while paused adds no distance.
+ * @param {Array} points - GPS points
+ * @param {Array} pauses - Pause intervals { start, end } in epoch ms to leave out
+ * @returns {Array} Cumulative distance in meters at each point
+ */
+function cumulativeDistances(points, pauses = []) {
+    const distances = [];
+    let total = 0;
+    const isPaused = (timestamp) => pauses.some(pause =>
+        timestamp > pause.start && (pause.end === null || timestamp < pause.end));
+    points.forEach((point, i) => {
+        if (i > 0 && !isPaused(point.timestamp)) {
+            total += haversineDistance(points[i - 1].lat, points[i - 1].lon, point.lat, point.lon);
+        }
+        distances.push(total);
+    });
+    return distances;
+}
+
+/**
+ * Calculate how much of the time before a moment was spent paused
+ * @param {Array} pauses - Pause intervals { start, end } in epoch ms (end null if still paused)
+ * @param {number} timestamp - Moment in epoch ms
+ * @returns {number} Paused milliseconds before the timestamp
+ */
+function pausedMsBefore(pauses, timestamp) {
+    return pauses.reduce((total, pause) => {
+        const end = Math.min(pause.end === null ? timestamp : pause.end, timestamp);
+        return total + Math.max(0, end - pause.start);
+    }, 0);
+}
+
+/**
+ * Split a track into fixed-distance splits.
+ * The time each split boundary is crossed is interpolated between the two
+ * GPS points either side of it, so splits don't depend on where fixes landed.
+ * Time spent paused (manually or by auto-pause) is left out of split times,
+ * and GPS drift while paused out of split distances, matching the run's distance.
+ * The final split may be partial.
+ * @param {Array} points - GPS points with timestamps
+ * @param {number} splitMeters - Split length in meters
+ * @param {Array} pauses - Pause intervals { start, end } in epoch ms
+ * @returns {Array} Splits: { number, distance, time, pace, elapsed, startedAt }
+ *   distance in meters, time/elapsed in seconds, pace in seconds per km,
+ *   startedAt the wall-clock time the split began in epoch ms
+ */
+function computeSplits(points, splitMeters = SPLIT_DISTANCE_METERS, pauses = []) {
+    if (!points || points.length < 2) {
+        return [];
+    }
+
+    const distances = cumulativeDistances(points, pauses);
+    const startTime = points[0].timestamp;
+    const activeMs = (point) => point.timestamp - startTime - pausedMsBefore(pauses, point.timestamp);
+    const splits = [];
+    let lastBoundaryElapsed = 0;
+    let lastBoundaryAt = startTime;
+    let nextBoundary = splitMeters;
+
+    const pushSplit = (distance, elapsed, at) => {
+        const time = elapsed - lastBoundaryElapsed;
+        splits.push({
+            number: splits.length + 1,
+            distance: distance,
+            time: time,
+            pace: time / (distance / 1000),
+            elapsed: elapsed,
+            startedAt: lastBoundaryAt
+        });
+        lastBoundaryElapsed = elapsed;
+        lastBoundaryAt = at;
+    };
+
+    for (let i = 1; i < points.length; i++) {
+        while (distances[i] >= nextBoundary) {
+            // Interpolate the crossing time between point i-1 and point i
+            const segment = distances[i] - distances[i - 1];
+            const fraction = segment > 0 ? (nextBoundary - distances[i - 1]) / segment : 1;
+            const t0 = activeMs(points[i - 1]);
+            const t1 = activeMs(points[i]);
+            const at = points[i - 1].timestamp + (points[i].timestamp - points[i - 1].timestamp) * fraction;
+            pushSplit(splitMeters, (t0 + (t1 - t0) * fraction) / 1000, at);
+            nextBoundary += splitMeters;
+        }
+    }
+
+    // Remaining partial split
+    const remainder = distances[distances.length - 1] - (nextBoundary - splitMeters);
+    if (remainder > 0) {
+        pushSplit(remainder, activeMs(points[points.length - 1]) / 1000, points[points.length - 1].timestamp);
+    }
+
+    return splits;
+}
+
+/**
+ * Get a run's splits in the display units: the stored per-km splits, or
+ * per-mile splits worked out from the track
+ * @param {Object} run - Run with splits, track and pauses
+ * @returns {Array} Splits as from computeSplits
+ */
+function splitsForDisplay(run) {
+    const splitMeters = currentUnits().distanceMeters;
+    if (splitMeters === SPLIT_DISTANCE_METERS && run.splits) {
+        return run.splits;
+    }
+    return run.track ? computeSplits(expandTrack(run.track), splitMeters, run.pauses || []) : [];
+}
+
+// ========================================
+// GHOST RUNNER
 // ========================================
 
 /**
- * Status Bar Component
- * Displays run state, GPS status, and wake lock toggle
+ * Build a ghost runner from a saved run: its moving time against distance.
+ * Time spent paused, and GPS drift while paused, are left out, as in computeSplits.
+ * @param {Object} run - Saved run with its track (from loadRun)
+ * @returns {Object} { runId, date, curve } - curve samples are { distance, time } in meters
+ *   and seconds, both non-decreasing
+ */
+function createGhost(run) {
+    const points = expandTrack(run.track);
+    const pauses = run.pauses || [];
+    const distances = cumulativeDistances(points, pauses);
+    const startTime = points.length > 0 ? points[0].timestamp : 0;
+
+    return {
+        runId: run.id,
+        date: run.date,
+        curve: points.map((point, i) => ({
+            distance: distances[i],
+            time: (point.timestamp - startTime - pausedMsBefore(pauses, point.timestamp)) / 1000
+        }))
+    };
+}
+
+/**
+ * Find where the ghost was at a given distance or time by interpolating its curve
+ * @param {Array} curve - Ghost curve from createGhost
+ * @param {string} key - 'distance' or 'time'
+ * @param {number} value - Distance in meters or time in seconds
+ * @returns {Object|null} { distance, time }, or null if the ghost never got that far
+ */
+function interpolateGhost(curve, key, value) {
+    if (curve.length < 2 || value < 0 || value > curve[curve.length - 1][key]) {
+        return null;
+    }
+
+    // Binary search for the samples either side of the value
+    let lo = 0;
+    let hi = curve.length - 1;
+    while (hi - lo > 1) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (curve[mid][key] < value) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+
+    const a = curve[lo];
+    const b = curve[hi];
+    const fraction = b[key] > a[key] ? (value - a[key]) / (b[key] - a[key]) : 0;
+    return {
+        distance: a.distance + fraction * (b.distance - a.distance),
+        time: a.time + fraction * (b.time - a.time)
+    };
+}
+
+/**
+ * Compare live progress against the ghost
+ * @param {Object} ghost - Ghost from createGhost
+ * @param {number} distanceMeters - Distance run so far
+ * @param {number} movingSeconds - Moving time so far
+ * @returns {Object|null} { seconds, meters } - positive when ahead of the ghost; seconds is
+ *   null once past the ghost's finish. Null if the ghost has no track.
+ */
+function computeGhostGap(ghost, distanceMeters, movingSeconds) {
+    const curve = ghost.curve;
+    if (curve.length < 2) {
+        return null;
+    }
+
+    const atDistance = interpolateGhost(curve, 'distance', distanceMeters);
+    const atTime = interpolateGhost(curve, 'time', movingSeconds);
+    const ghostDistance = atTime ? atTime.distance : curve[curve.length - 1].distance;
+
+    return {
+        seconds: atDistance ? atDistance.time - movingSeconds : null,
+        meters: distanceMeters - ghostDistance
+    };
+}
+
+/**
+ * Format a gap to the ghost, e.g. "12 s ahead"
+ * @param {number} value - Gap, positive when ahead
+ * @param {string} unit - Unit to show ('m' or 's')
+ * @returns {string} Formatted gap
+ */
+function formatGhostGap(value, unit) {
+    const rounded = Math.round(Math.abs(value));
+    if (rounded === 0) {
+        return 'Level';
+    }
+    return `${rounded} ${unit} ${value > 0 ? 'ahead' : 'behind'}`;
+}
+
+/**
+ * Name a ghost's run for voice announcements, e.g. "your March 3rd run"
+ * @param {string} dateString - ISO date of the ghost's run
+ * @returns {string} Spoken name
+ */
+function ghostRunName(dateString) {
+    const date = new Date(dateString);
+    const day = date.getDate();
+    const suffix = day % 10 === 1 && day !== 11 ? 'st'
+        : day % 10 === 2 && day !== 12 ? 'nd'
+        : day % 10 === 3 && day !== 13 ? 'rd'
+        : 'th';
+    return `your ${date.toLocaleDateString('en-US', { month: 'long' })} ${day}${suffix} run`;
+}
+
+// ========================================
+// PERSONAL RECORDS
+// ========================================
+
+/**
+ * Find the fastest time over each record distance anywhere in a track.
+ * For every point the effort is measured back to where it started, with
+ * that start interpolated between GPS points. Paused time, and GPS drift
+ * while paused, don't count.
+ * @param {Array} points - GPS points with timestamps
+ * @param {Array} pauses - Pause intervals { start, end } in epoch ms
+ * @returns {Object} Seconds for each record id the track is long enough for
+ */
+function computeBestEfforts(points, pauses = []) {
+    const efforts = {};
+    if (points.length < 2) {
+        return efforts;
+    }
+
+    const distances = cumulativeDistances(points, pauses);
+    const startTime = points[0].timestamp;
+    const times = points.map(point => (point.timestamp - startTime - pausedMsBefore(pauses, point.timestamp)) / 1000);
+    const totalMeters = distances[distances.length - 1];
+
+    RECORD_DEFINITIONS.filter(record => record.meters && record.meters <= totalMeters).forEach((record) => {
+        let best = Infinity;
+        let start = 0;
+
+        for (let end = 1; end < points.length; end++) {
+            const effortStart = distances[end] - record.meters;
+            if (effortStart < 0) continue;
+
+            while (distances[start + 1] <= effortStart) {
+                start++;
+            }
+            const span = distances[start + 1] - distances[start];
+            const fraction = span > 0 ? (effortStart - distances[start]) / span : 0;
+            const startSeconds = times[start] + fraction * (times[start + 1] - times[start]);
+            best = Math.min(best, times[end] - startSeconds);
+        }
+
+        efforts[record.id] = Math.round(best);
+    });
+
+    return efforts;
+}
+
+/**
+ * Collect a run's values for each personal record it can hold
+ * @param {Object} run - Run summary with best efforts
+ * @returns {Object} Value for each record id - seconds, meters or seconds per km
+ */
+function runRecordValues(run) {
+    const values = { ...(run.bestEfforts || {}) };
+    const distanceKm = parseFloat(run.distance);
+
+    if (distanceKm > 0) {
+        values.longest = distanceKm * 1000;
+    }
+    if (distanceKm >= RECORD_MIN_PACE_DISTANCE_KM && isFinite(run.avgPace)) {
+        values.fastestPace = run.avgPace;
+    }
+    return values;
+}
+
+/**
+ * Check whether a record value beats another
+ * @param {Object} definition - Entry from RECORD_DEFINITIONS
+ * @param {number} value - Candidate value
+ * @param {number|undefined} current - Current record value, if any
+ * @returns {boolean} True if the candidate is a new record
+ */
+function isRecordImprovement(definition, value, current) {
+    if (current === undefined) {
+        return true;
+    }
+    return definition.higherIsBetter ? value > current : value < current;
+}
+
+/**
+ * Whether a run counts towards your records, statistics and predictions:
+ * your own runs, but not a teammate's or a replay from the developer menu
+ * @param {Object} run - Run or run summary
+ * @returns {boolean} True for runs that count
+ */
+function isTrainingRun(run) {
+    return isOwnRun(run) && !run.replay;
+}
+
+/**
+ * Find the records a run beats. A teammate's run or a replay never sets your records.
+ * @param {Array} records - Current records ({ id, value, runId, date })
+ * @param {Object} run - Run summary with best efforts
+ * @returns {Array} New records: { id, label, value, previous, runId, date }, in display order
+ */
+function findNewRecords(records, run) {
+    if (!isTrainingRun(run)) {
+        return [];
+    }
+    const values = runRecordValues(run);
+    const current = {};
+    records.forEach((record) => {
+        current[record.id] = record.value;
+    });
+
+    return RECORD_DEFINITIONS
+        .filter(definition => values[definition.id] !== undefined &&
+            isRecordImprovement(definition, values[definition.id], current[definition.id]))
+        .map(definition => ({
+            id: definition.id,
+            label: definition.label,
+            value: values[definition.id],
+            previous: current[definition.id] !== undefined ? current[definition.id] : null,
+            runId: run.id,
+            date: run.date
+        }));
+}
+
+/**
+ * Work out every personal record from scratch, from your own runs
+ * @param {Array} runs - Run summaries with best efforts
+ * @returns {Array} Records: { id, value, runId, date }
+ */
+function computeRecords(runs) {
+    const best = {};
+    runs.filter(isTrainingRun).forEach((run) => {
+        const values = runRecordValues(run);
+        RECORD_DEFINITIONS.forEach((definition) => {
+            const value = values[definition.id];
+            if (value === undefined) return;
+            if (!best[definition.id] || isRecordImprovement(definition, value, best[definition.id].value)) {
+                best[definition.id] = { id: definition.id, value: value, runId: run.id, date: run.date };
+            }
+        });
+    });
+    return Object.values(best);
+}
+
+/**
+ * Format a record value for display
+ * @param {string} id - Record id
+ * @param {number} value - Record value
+ * @returns {string} e.g. "24:12", "21.10 km" or "4:50/km"
+ */
+function formatRecordValue(id, value) {
+    if (id === 'longest') {
+        return formatDistanceWithUnit(value);
+    }
+    if (id === 'fastestPace') {
+        return formatPaceWithUnit(value);
+    }
+    return formatTime(value);
+}
+
+// ========================================
+// TRAINING STATISTICS
+// ========================================
+
+/**
+ * Find the start of the week (Monday) or month containing a date
+ * @param {Date} date - Any moment
+ * @param {string} period - 'week' or 'month'
+ * @returns {Date} Local midnight at the start of the period
+ */
+function periodStart(date, period) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    if (period === 'month') {
+        start.setDate(1);
+    } else {
+        start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+    }
+    return start;
+}
+
+/**
+ * Step a period start forwards or backwards
+ * @param {Date} start - Start of a period
+ * @param {string} period - 'week' or 'month'
+ * @param {number} count - Periods to move (negative for earlier)
+ * @returns {Date} Start of the resulting period
+ */
+function addPeriods(start, period, count) {
+    const result = new Date(start);
+    if (period === 'month') {
+        result.setMonth(result.getMonth() + count);
+    } else {
+        result.setDate(result.getDate() + count * 7);
+    }
+    return result;
+}
+
+/**
+ * Total up runs per week or month, for the most recent periods.
+ * Periods without runs are included with zero totals so charts show gaps.
+ * @param {Array} runs - Run summaries from loadRunHistory
+ * @param {string} period - 'week' or 'month'
+ * @param {number} count - Number of periods, ending with the current one
+ * @param {Date} now - Reference date for the current period
+ * @returns {Array} Oldest first: { start, distanceKm, time, count, longestKm, avgPace }
+ *   time in moving seconds, avgPace in seconds per km (null without distance)
+ */
+function aggregateRuns(runs, period, count, now = new Date()) {
+    const current = periodStart(now, period);
+    const buckets = [];
+    for (let i = count - 1; i >= 0; i--) {
+        buckets.push({ start: addPeriods(current, period, -i), distanceKm: 0, time: 0, count: 0, longestKm: 0, avgPace: null });
+    }
+
+    const first = buckets[0].start;
+    runs.forEach((run) => {
+        const date = new Date(run.date);
+        const start = periodStart(date, period);
+        const index = period === 'month'
+            ? (start.getFullYear() - first.getFullYear()) * 12 + start.getMonth() - first.getMonth()
+            : Math.round((start - first) / (7 * 24 * 60 * 60 * 1000)); // Rounded for DST changes
+        if (index < 0 || index >= buckets.length) return;
+
+        const bucket = buckets[index];
+        const distanceKm = parseFloat(run.distance) || 0;
+        bucket.distanceKm += distanceKm;
+        bucket.time += run.movingTime || run.time || 0;
+        bucket.count += 1;
+        bucket.longestKm = Math.max(bucket.longestKm, distanceKm);
+    });
+
+    buckets.forEach((bucket) => {
+        bucket.avgPace = bucket.distanceKm > 0 ? bucket.time / bucket.distanceKm : null;
+    });
+    return buckets;
+}
+
+/**
+ * Label a period for chart axes
+ * @param {Date} start - Start of the period
+ * @param {string} period - 'week' or 'month'
+ * @returns {string} e.g. "Mar 3" for a week or "Mar" for a month
+ */
+function formatPeriodLabel(start, period) {
+    const options = period === 'month' ? { month: 'short' } : { month: 'short', day: 'numeric' };
+    return start.toLocaleDateString(currentLocale(), options);
+}
+
+// ========================================
+// RACE PREDICTIONS
+// ========================================
+
+/**
+ * Predict a race time from another effort with Riegel's formula
+ * @param {number} seconds - Time of the known effort
+ * @param {number} fromMeters - Distance of the known effort
+ * @param {number} toMeters - Race distance to predict
+ * @returns {number} Predicted seconds
+ */
+function riegelPredict(seconds, fromMeters, toMeters) {
+    return seconds * Math.pow(toMeters / fromMeters, RIEGEL_EXPONENT);
+}
+
+/**
+ * Score how far a prediction can be trusted. Older source efforts count for
+ * less, and so do efforts much shorter than the race being predicted.
+ * @param {number} ageDays - Days between the source effort and the prediction
+ * @param {number} sourceMeters - Distance of the source effort
+ * @param {number} targetMeters - Race distance
+ * @returns {number} Confidence from 0 to 1
+ */
+function predictionConfidence(ageDays, sourceMeters, targetMeters) {
+    const recency = 1 - 0.75 * Math.min(1, Math.max(0, ageDays) / PREDICTION_WINDOW_DAYS);
+    const length = Math.pow(Math.min(1, sourceMeters / targetMeters), 0.35);
+    return recency * length;
+}
+
+/**
+ * Describe a confidence score in words
+ * @param {number} confidence - From predictionConfidence
+ * @returns {string} 'High', 'Medium' or 'Low'
+ */
+function confidenceLabel(confidence) {
+    if (confidence >= 0.7) {
+        return 'High';
+    } else if (confidence >= 0.45) {
+        return 'Medium';
+    }
+    return 'Low';
+}
+
+/**
+ * Predict race times from the best efforts of recent runs.
+ * The fastest effort at each record distance in the last PREDICTION_WINDOW_DAYS
+ * is a candidate source; each race uses the candidate it can be predicted
+ * from with the most confidence (the faster one on a tie).
+ * @param {Array} runs - Run summaries from loadRunHistory
+ * @param {Date} asOf - Predict as of this moment; later runs are ignored
+ * @returns {Object} For each PREDICTION_TARGETS id with a prediction:
+ *   { time, pace, confidence, source: { id, meters, time, date, runId } }
+ */
+function predictRaceTimes(runs, asOf = new Date()) {
+    const windowStart = asOf.getTime() - PREDICTION_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    const sources = {};
+    runs.forEach((run) => {
+        const date = new Date(run.date).getTime();
+        if (date > asOf.getTime() || date < windowStart) return;
+        Object.entries(run.bestEfforts || {}).forEach(([id, time]) => {
+            if (!sources[id] || time < sources[id].time) {
+                sources[id] = { id: id, time: time, date: run.date, runId: run.id };
+            }
+        });
+    });
+
+    const predictions = {};
+    PREDICTION_TARGETS.forEach((targetId) => {
+        const target = RECORD_DEFINITIONS.find(record => record.id === targetId);
+        RECORD_DEFINITIONS.forEach((definition) => {
+            const source = sources[definition.id];
+            if (!source || !definition.meters || definition.meters < PREDICTION_MIN_SOURCE_METERS) return;
+
+            const ageDays = (asOf.getTime() - new Date(source.date).getTime()) / (24 * 60 * 60 * 1000);
+            const time = riegelPredict(source.time, definition.meters, target.meters);
+            const confidence = predictionConfidence(ageDays, definition.meters, target.meters);
+            const best = predictions[targetId];
+            if (!best || confidence > best.confidence || (confidence === best.confidence && time < best.time)) {
+                predictions[targetId] = {
+                    time: Math.round(time),
+                    pace: time / (target.meters / 1000),
+                    confidence: confidence,
+                    source: { ...source, meters: definition.meters }
+                };
+            }
+        });
+    });
+    return predictions;
+}
+
+/**
+ * Work out the race predictions as they stood at the end of each recent week
+ * @param {Array} runs - Run summaries from loadRunHistory
+ * @param {number} count - Number of weeks, ending with the current one
+ * @param {Date} now - Reference date for the current week
+ * @returns {Array} Oldest first: { start, predictions } with predictions from predictRaceTimes
+ */
+function predictionHistory(runs, count, now = new Date()) {
+    const current = periodStart(now, 'week');
+    const history = [];
+    for (let i = count - 1; i >= 0; i--) {
+        const start = addPeriods(current, 'week', -i);
+        const end = addPeriods(start, 'week', 1);
+        history.push({ start: start, predictions: predictRaceTimes(runs, end < now ? end : now) });
+    }
+    return history;
+}
+
+// ========================================
+// RUN HISTORY FILTERING
+// ========================================
+
+/**
+ * Default search, filter and sort settings for the run history
+ * @returns {Object} Filters - ranges are kept as the text typed, blank for no limit
+ */
+function createDefaultHistoryFilters() {
+    return {
+        query: '',
+        tags: [],
+        fromDate: '',
+        toDate: '',
+        minDistance: '',
+        maxDistance: '',
+        minPace: '',
+        maxPace: '',
+        sortBy: 'date',
+        descending: true
+    };
+}
+
+/**
+ * Tidy a tag typed by the user
+ * @param {string} text - Tag text
+ * @returns {string} Lower-case tag without surrounding spaces
+ */
+function normalizeTag(text) {
+    return text.trim().toLowerCase();
+}
+
+/**
+ * List every tag used across runs
+ * @param {Array} runs - Run summaries
+ * @returns {Array} Unique tags, sorted
+ */
+function collectTags(runs) {
+    const tags = new Set();
+    runs.forEach(run => (run.tags || []).forEach(tag => tags.add(tag)));
+    return Array.from(tags).sort();
+}
+
+/**
+ * Search, filter and sort runs
+ * @param {Array} runs - Run summaries
+ * @param {Object} filters - From createDefaultHistoryFilters
+ * @returns {Array} Matching runs in the chosen order
+ */
+function filterRuns(runs, filters) {
+    const words = filters.query.toLowerCase().split(/\s+/).filter(Boolean);
+    const from = filters.fromDate ? new Date(`${filters.fromDate}T00:00:00`) : null;
+    const to = filters.toDate ? new Date(`${filters.toDate}T23:59:59.999`) : null;
+    // Distance filters are typed in display units
+    const unitKm = currentUnits().distanceMeters / 1000;
+    const minKm = parseFloat(filters.minDistance) * unitKm;
+    const maxKm = parseFloat(filters.maxDistance) * unitKm;
+    const minPace = parsePace(filters.minPace);
+    const maxPace = parsePace(filters.maxPace);
+
+    const matches = runs.filter((run) => {
+        const text = `${run.title || ''} ${run.notes || ''} ${(run.tags || []).join(' ')}`.toLowerCase();
+        const date = new Date(run.date);
+        const distanceKm = parseFloat(run.distance);
+
+        return words.every(word => text.includes(word)) &&
+            filters.tags.every(tag => (run.tags || []).includes(tag)) &&
+            (!from || date >= from) &&
+            (!to || date <= to) &&
+            (isNaN(minKm) || distanceKm >= minKm) &&
+            (isNaN(maxKm) || distanceKm <= maxKm) &&
+            (minPace === null || run.avgPace >= minPace) &&
+            (maxPace === null || run.avgPace <= maxPace);
+    });
+
+    const sortValue = {
+        date: run => new Date(run.date).getTime(),
+        distance: run => parseFloat(run.distance),
+        pace: run => (isFinite(run.avgPace) ? run.avgPace : Infinity)
+    }[filters.sortBy];
+    const direction = filters.descending ? -1 : 1;
+    return matches.sort((a, b) => (sortValue(a) - sortValue(b)) * direction);
+}
+
+// ========================================
+// WORKOUT HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Create the starting point for a new interval workout.
+ * Steps are { type: 'distance' | 'time', value, pace } where value is in
+ * meters or seconds and pace is seconds per km (null for no target).
+ * @returns {Object} Workout definition
+ */
+function createDefaultWorkout() {
+    return {
+        id: null,
+        name: '',
+        warmup: { type: 'time', value: 600, pace: null },
+        repeats: 4,
+        work: { type: 'distance', value: 400 * currentUnits().shortDistanceMeters, pace: 240 }, // 400 m or 400 yd
+        recovery: { type: 'time', value: 90, pace: null },
+        cooldown: { type: 'time', value: 600, pace: null }
+    };
+}
+
+/**
+ * Flatten a workout definition into the ordered list of steps to run
+ * @param {Object} workout - Workout definition
+ * @returns {Array} Steps with a label, e.g. "Work 2 of 4"
+ */
+function expandWorkout(workout) {
+    const steps = [];
+
+    if (workout.warmup) {
+        steps.push({ ...workout.warmup, label: 'Warm-up' });
+    }
+    for (let i = 1; i <= workout.repeats; i++) {
+        steps.push({ ...workout.work, label: `Work ${i} of ${workout.repeats}` });
+        // No recovery after the last repeat - the cool-down follows
+        if (workout.recovery && i < workout.repeats) {
+            steps.push({ ...workout.recovery, label: `Recovery ${i}` });
+        }
+    }
+    if (workout.cooldown) {
+        steps.push({ ...workout.cooldown, label: 'Cool-down' });
+    }
+
+    return steps;
+}
+
+/**
+ * Describe a workout step in words for voice announcements
+ * @param {Object} step - Workout step
+ * @returns {string} e.g. "400 meters at 4:00 per kilometer"
+ */
+function describeStep(step) {
+    const units = currentUnits();
+    let amount;
+    if (step.type === 'distance') {
+        amount = step.value >= 1000
+            ? `${parseFloat((step.value / units.distanceMeters).toFixed(2))} ${units.spokenDistance}`
+            : `${Math.round(step.value / units.shortDistanceMeters)} ${units.spokenShortDistance}`;
+    } else {
+        amount = formatSpokenTime(step.value);
+    }
+
+    return step.pace ? `${amount} at ${formatPace(step.pace)} ${units.spokenPace}` : `${amount} easy`;
+}
+
+/**
+ * Describe a workout step compactly for on-screen lists
+ * @param {Object} step - Workout step
+ * @returns {string} e.g. "400 m @ 4:00/km"
+ */
+function formatStep(step) {
+    const units = currentUnits();
+    const amount = step.type === 'distance'
+        ? (step.value >= 1000 ? `${parseFloat((step.value / units.distanceMeters).toFixed(2))} ${units.distance}` : `${Math.round(step.value / units.shortDistanceMeters)} ${units.shortDistance}`)
+        : formatTime(step.value);
+    return step.pace ? `${amount} @ ${formatPaceWithUnit(step.pace)}` : `${amount} easy`;
+}
+
+/**
+ * Build the recorded result of a workout step
+ * @param {Object} step - Workout step
+ * @param {number} distanceMeters - Distance covered in the step
+ * @param {number} seconds - Moving time spent in the step
+ * @param {boolean} completed - Whether the step ran to its end
+ * @returns {Object} Step result
+ */
+function buildStepResult(step, distanceMeters, seconds, completed) {
+    return {
+        label: step.label,
+        type: step.type,
+        value: step.value,
+        targetPace: step.pace,
+        distance: Math.round(distanceMeters),
+        time: seconds,
+        pace: distanceMeters > 0 ? seconds / (distanceMeters / 1000) : null,
+        completed: completed
+    };
+}
+
+/**
+ * Build the workout record saved with a run: every finished step plus the
+ * step that was in progress when the run ended
+ * @param {Object|null} workout - Workout definition
+ * @param {Object} progress - { stepIndex, stepStartDistance, stepStartTime, results }
+ * @param {number} distanceMeters - Run distance at finish
+ * @param {number} movingTime - Run moving time at finish
+ * @returns {Object|null} { name, definition, steps } or null without a workout
+ */
+function buildWorkoutRecord(workout, progress, distanceMeters, movingTime) {
+    if (!workout || !progress) {
+        return null;
+    }
+
+    const steps = expandWorkout(workout);
+    const results = [...progress.results];
+    if (progress.stepIndex < steps.length) {
+        results.push(buildStepResult(
+            steps[progress.stepIndex],
+            distanceMeters - progress.stepStartDistance,
+            movingTime - progress.stepStartTime,
+            false
+        ));
+    }
+
+    return { name: workout.name, definition: workout, steps: results };
+}
+
+// ========================================
+// PACING PLANS
+// ========================================
+
+/**
+ * Build a pacing plan: a target pace for each segment of the target distance.
+ * Segments are one km or mile long, following the units setting, with a
+ * shorter last segment if needed. Segment ends are stored in meters so the
+ * plan still reads correctly after the units are changed.
+ * @param {string} type - Plan type from PACING_PLANS
+ * @param {number} goalPace - Average goal pace in seconds per km
+ * @param {number} targetDistanceKm - Target distance
+ * @param {number} spread - Seconds per km between the slowest and fastest targets
+ *   (negative split and progressive plans: the two halves, or the first and
+ *   last segments); the plan still averages the goal pace
+ * @param {Array} customPaces - Custom plans: pace per segment in seconds per km;
+ *   missing entries use the goal pace
+ * @returns {Object|null} { type, spread, segments: [{ end, pace }] }, or null without a goal pace or distance
+ */
+function buildPacingPlan(type, goalPace, targetDistanceKm, spread = 0, customPaces = []) {
+    const totalMeters = targetDistanceKm * 1000;
+    const segmentMeters = currentUnits().distanceMeters;
+    if (!(goalPace > 0) || !(totalMeters > 0)) {
+        return null;
+    }
+
+    const half = totalMeters / 2;
+    const segments = [];
+    // Ignore a sliver left over from rounding the target distance
+    for (let start = 0; start < totalMeters - 1; start += segmentMeters) {
+        const end = Math.min(start + segmentMeters, totalMeters);
+        let pace = goalPace;
+        if (type === 'negative') {
+            // First half slower, second half faster; a segment across halfway is split between them
+            const slowFraction = (Math.min(end, half) - Math.min(start, half)) / (end - start);
+            pace = goalPace + spread / 2 * (2 * slowFraction - 1);
+        } else if (type === 'custom' && customPaces[segments.length] > 0) {
+            pace = customPaces[segments.length];
+        }
+        segments.push({ end: end, pace: pace });
+    }
+
+    if (type === 'progressive' && segments.length > 1) {
+        // Equally faster each segment, the last exactly spread faster than the
+        // first, shifted so the plan averages the goal pace over the distance
+        const step = spread / (segments.length - 1);
+        let start = 0;
+        let offset = 0;
+        segments.forEach((segment, i) => {
+            offset += (segment.end - start) * i * step / totalMeters;
+            start = segment.end;
+        });
+        segments.forEach((segment, i) => {
+            segment.pace = goalPace + offset - i * step;
+        });
+    }
+
+    return { type: type, spread: spread, segments: segments };
+}
+
+/**
+ * Work out the planned time to reach a distance. Past the end of the plan
+ * the last segment's pace carries on.
+ * @param {Object} plan - Plan from buildPacingPlan
+ * @param {number} distanceMeters - Distance
+ * @returns {number} Planned moving time in seconds
+ */
+function planTimeAt(plan, distanceMeters) {
+    let time = 0;
+    let start = 0;
+    plan.segments.forEach((segment, i) => {
+        const isLast = i === plan.segments.length - 1;
+        const covered = Math.max(0, (isLast ? distanceMeters : Math.min(distanceMeters, segment.end)) - start);
+        time += covered / 1000 * segment.pace;
+        start = segment.end;
+    });
+    return time;
+}
+
+/**
+ * Find the plan segment being run at a distance
+ * @param {Object} plan - Plan from buildPacingPlan
+ * @param {number} distanceMeters - Distance
+ * @returns {number} Segment index; the last segment once past the end of the plan
+ */
+function planSegmentIndex(plan, distanceMeters) {
+    const index = plan.segments.findIndex(segment => distanceMeters < segment.end);
+    return index === -1 ? plan.segments.length - 1 : index;
+}
+
+/**
+ * Compare a finished run with its pacing plan, segment by segment, using the
+ * moving time at which the track passed each segment end
+ * @param {Object} run - Run record with pacingPlan, track and pauses
+ * @returns {Array} Per segment { start, end, targetPace, pace, gap } - pace is null
+ *   for segments not finished; gap is the cumulative time vs plan at the segment end,
+ *   positive when ahead. Empty without a plan.
+ */
+function comparePacingPlan(run) {
+    if (!run || !run.pacingPlan || !run.track) {
+        return [];
+    }
+
+    const curve = createGhost(run).curve;
+    let start = 0;
+    let startTime = 0;
+    return run.pacingPlan.segments.map((segment) => {
+        const atEnd = interpolateGhost(curve, 'distance', segment.end);
+        const result = {
+            start: start,
+            end: segment.end,
+            targetPace: segment.pace,
+            pace: atEnd && startTime !== null ? (atEnd.time - startTime) / ((segment.end - start) / 1000) : null,
+            gap: atEnd ? planTimeAt(run.pacingPlan, segment.end) - atEnd.time : null
+        };
+        start = segment.end;
+        startTime = atEnd ? atEnd.time : null;
+        return result;
+    });
+}
+
+// ========================================
+// GPS KALMAN FILTER
+// ========================================
+
+/**
+ * Run one predict/update step of a constant-velocity Kalman filter on one axis
+ * @param {Object} axis - Axis state { p, v, a, b, c } - position, velocity and
+ *   the covariance matrix [[a, b], [b, c]]
+ * @param {number} z - Measured position in meters
+ * @param {number} r - Measurement variance (accuracy²)
+ * @param {number} dt - Seconds since the previous step
+ * @param {number} accelerationNoise - Expected acceleration (m/s²)
+ * @returns {Object} New axis state
+ */
+function kalmanAxisStep(axis, z, r, dt, accelerationNoise) {
+    const q = accelerationNoise * accelerationNoise;
+
+    // Predict: move along the current velocity, growing the uncertainty
+    const p = axis.p + axis.v * dt;
+    const a = axis.a + 2 * dt * axis.b + dt * dt * axis.c + q * Math.pow(dt, 4) / 4;
+    const b = axis.b + dt * axis.c + q * Math.pow(dt, 3) / 2;
+    const c = axis.c + q * dt * dt;
+
+    // Update: blend in the measurement, weighted by its variance
+    const gainP = a / (a + r);
+    const gainV = b / (a + r);
+    const innovation = z - p;
+
+    return {
+        p: p + gainP * innovation,
+        v: axis.v + gainV * innovation,
+        a: (1 - gainP) * a,
+        b: (1 - gainP) * b,
+        c: c - gainV * b
+    };
+}
+
+/**
+ * Smooth altitude with a one-dimensional Kalman filter.
+ * Altitude is modelled as a slow random walk, and each reading is weighted
+ * by its reported vertical accuracy.
+ * @param {Object|null} altitude - { value, variance } from the previous step, or null
+ * @param {Object} fix - Raw GPS point
+ * @param {number} dt - Seconds since the previous step
+ * @returns {Object|null} New altitude state (unchanged if the fix has no altitude)
+ */
+function altitudeFilterStep(altitude, fix, dt) {
+    if (!hasValue(fix.altitude)) {
+        return altitude;
+    }
+
+    const accuracy = fix.altitudeAccuracy > 0 ? fix.altitudeAccuracy : DEFAULT_ALTITUDE_ACCURACY_METERS;
+    const r = accuracy * accuracy;
+    if (!altitude) {
+        return { value: fix.altitude, variance: r };
+    }
+
+    const variance = altitude.variance + ALTITUDE_PROCESS_NOISE * dt;
+    const gain = variance / (variance + r);
+    return {
+        value: altitude.value + gain * (fix.altitude - altitude.value),
+        variance: (1 - gain) * variance
+    };
+}
+
+/**
+ * Feed one raw GPS fix through the position/velocity Kalman filter.
+ * Fixes are weighted by their reported accuracy, so poor fixes nudge the
+ * track instead of being dropped or trusted outright. While the filtered
+ * speed is below the standing-still speed the output holds its last position,
+ * so standing still doesn't accumulate distance from GPS noise.
+ * Altitude is smoothed alongside by altitudeFilterStep.
+ * @param {Object|null} state - Filter state from the previous step, or null to start
+ * @param {Object} fix - Raw GPS point ({ lat, lon, timestamp, accuracy, altitude })
+ * @param {Object} tracking - Tracking settings (accelerationNoise, defaultAccuracy, minMovingSpeed)
+ * @returns {Object} { state, point } - the new filter state and the filtered point
+ */
+function kalmanFilterStep(state, fix, tracking = appSettings.tracking) {
+    const accuracy = fix.accuracy > 0 ? fix.accuracy : tracking.defaultAccuracy;
+    const r = accuracy * accuracy;
+
+    if (!state) {
+        const origin = { lat: fix.lat, lon: fix.lon, cosLat: Math.cos(fix.lat * Math.PI / 180) };
+        const axis = { p: 0, v: 0, a: r, b: 0, c: KALMAN_INITIAL_SPEED_VARIANCE };
+        const altitude = altitudeFilterStep(null, fix, 0);
+        const point = { ...fix, speed: 0 };
+        return {
+            state: { origin: origin, timestamp: fix.timestamp, x: axis, y: axis, altitude: altitude, output: point },
+            point: point
+        };
+    }
+
+    // Work in meters on a local flat plane centered on the first fix
+    const metersPerDegree = EARTH_RADIUS_KM * 1000 * Math.PI / 180;
+    const { origin } = state;
+    const zx = (fix.lon - origin.lon) * origin.cosLat * metersPerDegree;
+    const zy = (fix.lat - origin.lat) * metersPerDegree;
+    const dt = Math.max(0, (fix.timestamp - state.timestamp) / 1000);
+
+    const x = kalmanAxisStep(state.x, zx, r, dt, tracking.accelerationNoise);
+    const y = kalmanAxisStep(state.y, zy, r, dt, tracking.accelerationNoise);
+    const speed = Math.sqrt(x.v * x.v + y.v * y.v);
+    const altitude = altitudeFilterStep(state.altitude, fix, dt);
+
+    const moving = speed >= tracking.minMovingSpeed;
+    const point = {
+        ...fix,
+        lat: moving ? origin.lat + y.p / metersPerDegree : state.output.lat,
+        lon: moving ? origin.lon + x.p / (metersPerDegree * origin.cosLat) : state.output.lon,
+        altitude: hasValue(fix.altitude) ? altitude.value : null,
+        speed: speed
+    };
+
+    return {
+        state: { origin: origin, timestamp: fix.timestamp, x: x, y: y, altitude: altitude, output: point },
+        point: point
+    };
+}
+
+/**
+ * Run a whole raw track through the Kalman filter.
+ * Used to rebuild the filtered track from stored raw points.
+ * @param {Array} rawPoints - Raw GPS points, oldest first
+ * @param {Object} tracking - Tracking settings, e.g. the ones the run was recorded with
+ * @returns {Object} { points, state } - filtered points and the final filter state
+ */
+function filterTrack(rawPoints, tracking = appSettings.tracking) {
+    let state = null;
+    const points = rawPoints.map((fix) => {
+        const result = kalmanFilterStep(state, fix, tracking);
+        state = result.state;
+        return result.point;
+    });
+    return { points, state };
+}
+
+// ========================================
+// POSITION SOURCES
+// ========================================
+//
+// The tracker reads fixes from a position source rather than straight from
+// navigator.geolocation, so recorded tracks can be replayed through the same
+// filter, pace, announcement and summary logic. Every source has:
+//   available    - Whether it can produce fixes on this device
+//   statusLabel  - Shown in the status bar while fixes arrive
+//   now()        - The source's clock in epoch ms; the run timer follows it
+//   watch(onPosition, onError, onEnd) - Start delivering GeolocationPosition-
+//                  shaped fixes; returns a function that stops delivery
+
+/**
+ * Create a position source backed by the device GPS
+ * @param {Object} tracking - Tracking settings (enableHighAccuracy, maximumAge, timeout)
+ * @returns {Object} Position source
+ */
+function createGeolocationSource(tracking = appSettings.tracking) {
+    const options = {
+        enableHighAccuracy: tracking.enableHighAccuracy,
+        maximumAge: tracking.maximumAge,
+        timeout: tracking.timeout
+    };
+
+    return {
+        available: !!navigator.geolocation,
+        unavailableMessage: 'GPS not supported',
+        statusLabel: 'Tracking',
+        replay: false,
+        now: () => Date.now(),
+        watch(onPosition, onError) {
+            const watchId = navigator.geolocation.watchPosition(onPosition, onError, options);
+            return () => navigator.geolocation.clearWatch(watchId);
+        }
+    };
+}
+
+/**
+ * Create a repeatable pseudo-random number generator (mulberry32), so a
+ * replay with injected noise and dropouts can be reproduced exactly
+ * @param {number} seed - Any integer
+ * @returns {Function} Returns numbers in [0, 1) like Math.random
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Create a position source that replays a recorded track.
+ * Fixes are delivered with the gaps they were recorded with, divided by the
+ * speed-up, and the source's clock runs at the same speed so the run timer
+ * and paces stay consistent. Pausing the run pauses the replay.
+ * @param {Array} points - Recorded points ({ lat, lon, timestamp, accuracy, altitude, altitudeAccuracy })
+ * @param {Object} options - Replay options
+ * @param {number} options.speed - Playback speed-up (1 = real time)
+ * @param {number} options.noiseMeters - Standard deviation of random position error to add
+ * @param {number} options.dropoutRate - Fraction of fixes to drop (0-1)
+ * @param {Function} options.random - Random number generator, e.g. from createSeededRandom
+ * @returns {Object} Position source
+ */
+function createReplaySource(points, { speed = 1, noiseMeters = 0, dropoutRate = 0, random = Math.random } = {}) {
+    const wallStart = Date.now();
+    const now = () => wallStart + (Date.now() - wallStart) * speed;
+    let index = 0;
+
+    // Offset a point by normally distributed noise (Box-Muller)
+    const addNoise = (point) => {
+        if (noiseMeters <= 0) return point;
+        const radius = noiseMeters * Math.sqrt(-2 * Math.log(1 - random()));
+        const angle = 2 * Math.PI * random();
+        const metersPerDegree = EARTH_RADIUS_KM * 1000 * Math.PI / 180;
+        return {
+            ...point,
+            lat: point.lat + (radius * Math.cos(angle)) / metersPerDegree,
+            lon: point.lon + (radius * Math.sin(angle)) / (metersPerDegree * Math.cos(point.lat * Math.PI / 180))
+        };
+    };
+
+    const toPosition = (point, timestamp) => {
+        const accuracy = hasValue(point.accuracy) ? point.accuracy : DEFAULT_GPS_ACCURACY_METERS;
+        return {
+            timestamp: timestamp,
+            coords: {
+                latitude: point.lat,
+                longitude: point.lon,
+                accuracy: Math.hypot(accuracy, noiseMeters),
+                altitude: hasValue(point.altitude) ? point.altitude : null,
+                altitudeAccuracy: hasValue(point.altitudeAccuracy) ? point.altitudeAccuracy : null
+            }
+        };
+    };
+
+    return {
+        available: points.length > 0,
+        unavailableMessage: 'Nothing to replay',
+        statusLabel: speed === 1 ? 'Replaying' : `Replaying ${speed}x`,
+        replay: true,
+        now: now,
+        watch(onPosition, onError, onEnd) {
+            let timeoutId = null;
+            // Carry on from the next unplayed fix, shifted to the current time
+            const offset = index < points.length ? now() - points[index].timestamp : 0;
+
+            const scheduleNext = () => {
+                if (index >= points.length) {
+                    if (onEnd) onEnd();
+                    return;
+                }
+                const point = points[index];
+                const due = point.timestamp + offset;
+                timeoutId = setTimeout(() => {
+                    index++;
+                    if (random() >= dropoutRate) {
+                        onPosition(toPosition(addNoise(point), due));
+                    }
+                    scheduleNext();
+                }, Math.max(0, (due - now()) / speed));
+            };
+
+            scheduleNext();
+            return () => clearTimeout(timeoutId);
+        }
+    };
+}
+
+/**
+ * Create the position source for a run
+ * @param {Object|null} replay - Replay settings from the developer menu, or null for the GPS
+ * @returns {Object} Position source
+ */
+function createPositionSource(replay) {
+    if (!replay) {
+        return createGeolocationSource();
+    }
+    return createReplaySource(replay.points, {
+        speed: replay.speed,
+        noiseMeters: replay.noiseMeters,
+        dropoutRate: replay.dropoutPercent / 100,
+        random: replay.seed !== null ? createSeededRandom(replay.seed) : Math.random
+    });
+}
+
+// ========================================
+// GPX EXPORT / IMPORT
+// ========================================
+
+/**
+ * Build a GPX 1.1 document for a saved run
+ * @param {Object} run - Saved run with a compact track
+ * @returns {string} GPX XML
+ */
+function buildGpx(run) {
+    const points = expandTrack(run.track);
+    const name = `Run ${formatDate(run.date)}`;
+
+    const trackPoints = points.map((point) => {
+        const ele = point.altitude !== null ? `<ele>${point.altitude.toFixed(1)}</ele>` : '';
+        const time = `<time>${new Date(point.timestamp).toISOString()}</time>`;
+        return `      <trkpt lat="${point.lat.toFixed(6)}" lon="${point.lon.toFixed(6)}">${ele}${time}</trkpt>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="Running Tracker" xmlns="http://www.topografix.com/GPX/1/1">',
+        '  <metadata>',
+        `    <name>${escapeXml(name)}</name>`,
+        `    <time>${new Date(run.date).toISOString()}</time>`,
+        '  </metadata>',
+        '  <trk>',
+        `    <name>${escapeXml(name)}</name>`,
+        run.notes ? `    <desc>${escapeXml(run.notes)}</desc>` : null,
+        '    <type>running</type>',
+        '    <trkseg>',
+        ...trackPoints,
+        '    </trkseg>',
+        '  </trk>',
+        '</gpx>'
+    ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Download a saved run as a GPX file
+ * @param {Object} run - Saved run
+ */
+function exportRunGpx(run) {
+    downloadFile(`${runFileName(run)}.gpx`, buildGpx(run), 'application/gpx+xml');
+}
+
+/**
+ * Find the pauses in an imported track, so imported runs get moving time
+ * like recorded ones. The gap between two track segments is a pause, and so
+ * is any stretch of at least the auto-pause delay spent slower than the
+ * standing-still speed.
+ * @param {Array} points - Track points, oldest first
+ * @param {Set} segmentStarts - Indexes of the points that start a new track segment
+ * @returns {Array} Pause intervals { start, end } in epoch ms
+ */
+function detectPauses(points, segmentStarts) {
+    const pauses = [];
+    let stoppedSince = null;
+
+    const endStop = (timestamp) => {
+        if (stoppedSince !== null && timestamp - stoppedSince >= AUTO_PAUSE_DELAY_SECONDS * 1000) {
+            pauses.push({ start: stoppedSince, end: timestamp });
+        }
+        stoppedSince = null;
+    };
+
+    for (let i = 1; i < points.length; i++) {
+        const previous = points[i - 1];
+        const point = points[i];
+        if (segmentStarts.has(i)) {
+            endStop(previous.timestamp);
+            pauses.push({ start: previous.timestamp, end: point.timestamp });
+            continue;
+        }
+
+        const seconds = (point.timestamp - previous.timestamp) / 1000;
+        if (seconds <= 0) continue;
+        const speed = haversineDistance(previous.lat, previous.lon, point.lat, point.lon) / seconds;
+        if (speed < MIN_MOVING_SPEED_MPS) {
+            if (stoppedSince === null) stoppedSince = previous.timestamp;
+        } else {
+            endStop(previous.timestamp);
+        }
+    }
+    endStop(points.length > 0 ? points[points.length - 1].timestamp : 0);
+
+    return pauses;
+}
+
+/**
+ * Parse a GPX document into a run record.
+ * Pauses are detected from the track, and time and average pace are moving
+ * time, as for a recorded run.
+ * @param {string} xmlText - GPX file contents
+ * @returns {Object} Run record ready for saveRun
+ * @throws {Error} If the file is not valid GPX or has no timestamped track points
+ */
+function parseGpx(xmlText) {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('File is not valid XML');
+    }
+
+    const trkpts = Array.from(doc.getElementsByTagName('trkpt'))
+        .map((trkpt) => {
+            const timeEl = trkpt.getElementsByTagName('time')[0];
+            const eleEl = trkpt.getElementsByTagName('ele')[0];
+            return {
+                segment: trkpt.parentNode,
+                point: {
+                    lat: parseFloat(trkpt.getAttribute('lat')),
+                    lon: parseFloat(trkpt.getAttribute('lon')),
+                    timestamp: timeEl ? Date.parse(timeEl.textContent) : NaN,
+                    accuracy: null, // GPX does not carry accuracy in metres
+                    altitude: eleEl ? parseFloat(eleEl.textContent) : null,
+                    altitudeAccuracy: null
+                }
+            };
+        })
+        .filter(({ point }) => isFinite(point.lat) && isFinite(point.lon) && isFinite(point.timestamp));
+    const points = trkpts.map(trkpt => trkpt.point);
+
+    if (points.length < 2) {
+        throw new Error('GPX file has no timestamped track points');
+    }
+
+    const segmentStarts = new Set();
+    trkpts.forEach((trkpt, i) => {
+        if (i > 0 && trkpt.segment !== trkpts[i - 1].segment) {
+            segmentStarts.add(i);
+        }
+    });
+    const pauses = detectPauses(points, segmentStarts);
+
+    const descEl = doc.getElementsByTagName('desc')[0];
+    const summary = summarizeTrack(points);
+    const finishedAt = points[points.length - 1].timestamp;
+    const movingTime = Math.round((finishedAt - points[0].timestamp - pausedMsBefore(pauses, finishedAt)) / 1000);
+
+    return {
+        ...summary,
+        time: movingTime,
+        avgPace: movingTime / parseFloat(summary.distance),
+        ...summarizeElevation(points, movingTime),
+        pauses: pauses,
+        date: new Date(points[0].timestamp).toISOString(),
+        goalPace: null,
+        targetDistance: null,
+        track: compactTrack(points),
+        notes: descEl ? descEl.textContent.trim() : '',
+        id: Date.now().toString()
+    };
+}
+
+// ========================================
+// TCX EXPORT
+// ========================================
+
+/**
+ * Build a Training Center XML document for a saved run.
+ * Produces one <Lap> per split from computeSplits, so lap times match the
+ * splits shown in the app.
+ * @param {Object} run - Saved run with a compact track
+ * @returns {string} TCX XML
+ */
+function buildTcx(run) {
+    const points = expandTrack(run.track);
+    const pauses = run.pauses || [];
+    const distances = cumulativeDistances(points, pauses);
+    const splits = computeSplits(points, SPLIT_DISTANCE_METERS, pauses);
+    const startTime = points.length > 0 ? points[0].timestamp : new Date(run.date).getTime();
+    if (splits.length === 0) {
+        // TCX needs at least one lap, so a run too short for a split gets one covering all of it
+        const time = run.time || 0;
+        splits.push({ distance: distances.length > 0 ? distances[distances.length - 1] : 0, time: time, elapsed: time, startedAt: startTime });
+    }
+
+    const trackpointXml = (point, i) => [
+        '          <Trackpoint>',
+        `            <Time>${new Date(point.timestamp).toISOString()}</Time>`,
+        '            <Position>',
+        `              <LatitudeDegrees>${point.lat.toFixed(6)}</LatitudeDegrees>`,
+        `              <LongitudeDegrees>${point.lon.toFixed(6)}</LongitudeDegrees>`,
+        '            </Position>',
+        point.altitude !== null ? `            <AltitudeMeters>${point.altitude.toFixed(1)}</AltitudeMeters>` : null,
+        `            <DistanceMeters>${distances[i].toFixed(1)}</DistanceMeters>`,
+        '          </Trackpoint>'
+    ];
+
+    let pointIndex = 0;
+    const laps = splits.map((split, lapIndex) => {
+        const isLastLap = lapIndex === splits.length - 1;
+        const lapEndDistance = lapIndex * SPLIT_DISTANCE_METERS + split.distance;
+        const lapPoints = [];
+
+        // Each point belongs to the lap whose distance range contains it
+        while (pointIndex < points.length && (isLastLap || distances[pointIndex] < lapEndDistance)) {
+            lapPoints.push(...trackpointXml(points[pointIndex], pointIndex));
+            pointIndex++;
+        }
+
+        return [
+            `      <Lap StartTime="${new Date(split.startedAt).toISOString()}">`,
+            `        <TotalTimeSeconds>${split.time.toFixed(1)}</TotalTimeSeconds>`,
+            `        <DistanceMeters>${split.distance.toFixed(1)}</DistanceMeters>`,
+            '        <Calories>0</Calories>',
+            '        <Intensity>Active</Intensity>',
+            '        <TriggerMethod>Distance</TriggerMethod>',
+            ...(lapPoints.length > 0 ? ['        <Track>', ...lapPoints, '        </Track>'] : []), // A Track needs a Trackpoint
+            '      </Lap>'
+        ];
+    });
+
+    const notes = [
+        run.goalPace ? `Goal pace: ${formatPaceWithUnit(run.goalPace)}` : null,
+        run.notes || null
+    ].filter(Boolean).join('\n');
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">',
+        '  <Activities>',
+        '    <Activity Sport="Running">',
+        `      <Id>${new Date(startTime).toISOString()}</Id>`,
+        ...laps.flat(),
+        notes ? `      <Notes>${escapeXml(notes)}</Notes>` : null,
+        '    </Activity>',
+        '  </Activities>',
+        '</TrainingCenterDatabase>'
+    ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Download a saved run as a TCX file
+ * @param {Object} run - Saved run
+ */
+function exportRunTcx(run) {
+    downloadFile(`${runFileName(run)}.tcx`, buildTcx(run), 'application/vnd.garmin.tcx+xml');
+}
+
+// ========================================
+// BACKUP AND RESTORE
+// ========================================
+
+/**
+ * Bundle runs and settings into a backup
+ * @param {Array} runs - Every run with its tracks, from loadAllRuns
+ * @param {Object} settings - App settings
+ * @param {Date} exportedAt - When the backup was made
+ * @returns {Object} Backup, ready for JSON.stringify
+ */
+function buildBackup(runs, settings, exportedAt = new Date()) {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: exportedAt.toISOString(),
+        settings: settings,
+        runs: runs.map((run) => {
+            const copy = { ...run };
+            delete copy.trackPoints; // Derived on save, so left out
+            return copy;
+        })
+    };
+}
+
+/**
+ * Check that a compact track from a backup has the shape compactTrack makes
+ * @param {*} track - Track from the backup
+ * @returns {boolean} True if the track is null or well formed
+ */
+function isValidBackupTrack(track) {
+    if (track === null || track === undefined) {
+        return true;
+    }
+    return typeof track === 'object' &&
+        isFinite(track.start) &&
+        Array.isArray(track.points) &&
+        track.points.every(row => Array.isArray(row) && row.length >= 3 && isFinite(row[0]) && isFinite(row[1]) && isFinite(row[2]));
+}
+
+/**
+ * Check a run from a backup file or the sync server
+ * @param {*} run - Run from the backup
+ * @returns {string|null} What's wrong with it, or null if it's valid
+ */
+function validateBackupRun(run) {
+    if (!run || typeof run !== 'object') {
+        return 'not a run';
+    }
+    if (typeof run.id !== 'string' || run.id === '') {
+        return 'missing id';
+    }
+    if (typeof run.date !== 'string' || isNaN(Date.parse(run.date))) {
+        return 'missing or invalid date';
+    }
+    if (!isFinite(parseFloat(run.distance)) || parseFloat(run.distance) < 0) {
+        return 'missing or invalid distance';
+    }
+    if (typeof run.time !== 'number' || !isFinite(run.time) || run.time < 0) {
+        return 'missing or invalid time';
+    }
+    if (!isValidBackupTrack(run.track) || !isValidBackupTrack(run.rawTrack)) {
+        return 'damaged GPS track';
+    }
+    if (hasValue(run.tags) && (!Array.isArray(run.tags) || run.tags.some(tag => typeof tag !== 'string'))) {
+        return 'invalid tags';
+    }
+    const textField = ['title', 'notes', 'owner'].find(field => hasValue(run[field]) && typeof run[field] !== 'string');
+    if (textField) {
+        return `invalid ${textField}`;
+    }
+    return null;
+}
+
+/**
+ * Read and check a backup file's contents
+ * @param {string} text - File contents
+ * @returns {Object} { exportedAt, settings, runs } - settings is null if the backup has none
+ * @throws {Error} If the file is not a backup this version of the app can read
+ */
+function parseBackup(text) {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (error) {
+        throw new Error('File is not valid JSON');
+    }
+
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+        throw new Error('File is not a Running Tracker backup');
+    }
+    if (!Number.isInteger(backup.version) || backup.version < 1) {
+        throw new Error('Backup has an invalid version');
+    }
+    if (backup.version > BACKUP_VERSION) {
+        throw new Error('Backup was made by a newer version of the app - update the app and try again');
+    }
+    if (!Array.isArray(backup.runs)) {
+        throw new Error('Backup has no list of runs');
+    }
+    if (backup.settings !== undefined && backup.settings !== null && typeof backup.settings !== 'object') {
+        throw new Error('Backup settings are invalid');
+    }
+
+    const ids = new Set();
+    backup.runs.forEach((run, i) => {
+        const problem = validateBackupRun(run);
+        if (problem) {
+            throw new Error(`Run ${i + 1} in the backup is invalid: ${problem}`);
+        }
+        if (ids.has(run.id)) {
+            throw new Error(`Run ${i + 1} in the backup has the same id as an earlier run`);
+        }
+        ids.add(run.id);
+    });
+
+    return {
+        exportedAt: backup.exportedAt || null,
+        settings: backup.settings || null,
+        runs: backup.runs
+    };
+}
+
+/**
+ * Summarise the parts of a run a person would recognise it by, to tell an
+ * identical copy from an edited one
+ * @param {Object} run - Run or run summary
+ * @returns {string} Fingerprint
+ */
+function runFingerprint(run) {
+    return JSON.stringify([
+        run.date,
+        parseFloat(run.distance).toFixed(2),
+        Math.round(run.time),
+        run.title || '',
+        run.notes || '',
+        run.tags || []
+    ]);
+}
+
+/**
+ * Sort backup runs against the runs already saved, matching them by id
+ * @param {Array} existingRuns - Saved run summaries
+ * @param {Array} backupRuns - Runs from parseBackup
+ * @returns {Object} { added, duplicates, conflicts } - conflicts are
+ *   { existing, incoming } pairs that share an id but differ
+ */
+function planBackupMerge(existingRuns, backupRuns) {
+    const existingById = new Map(existingRuns.map(run => [run.id, run]));
+    const plan = { added: [], duplicates: [], conflicts: [] };
+
+    backupRuns.forEach((run) => {
+        const existing = existingById.get(run.id);
+        if (!existing) {
+            plan.added.push(run);
+        } else if (runFingerprint(existing) === runFingerprint(run)) {
+            plan.duplicates.push(run);
+        } else {
+            plan.conflicts.push({ existing: existing, incoming: run });
+        }
+    });
+
+    return plan;
+}
+
+/**
+ * Compress text with gzip, using the browser's built-in compression
+ * @param {string} text - Text to compress
+ * @returns {Promise<Blob>} Compressed data
+ */
+async function gzipText(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+    return await new Response(stream).blob();
+}
+
+/**
+ * Read a backup file, decompressing it if it was saved gzipped
+ * @param {File} file - Chosen backup file
+ * @returns {Promise<string>} File contents as text
+ */
+async function readBackupFile(file) {
+    const header = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+    if (header[0] !== 0x1f || header[1] !== 0x8b) {
+        return await file.text();
+    }
+    if (!('DecompressionStream' in window)) {
+        throw new Error('This browser cannot open compressed backups');
+    }
+    return await new Response(file.stream().pipeThrough(new DecompressionStream('gzip'))).text();
+}
+
+/**
+ * Download a backup of every run and the settings
+ * @param {Object} settings - App settings
+ * @param {boolean} compress - Gzip the file (.json.gz)
+ * @returns {Promise<number>} Number of runs backed up
+ */
+async function exportBackup(settings, compress) {
+    const runs = await loadAllRuns();
+    const now = new Date();
+    const json = JSON.stringify(buildBackup(runs, settings, now));
+    const name = `running-tracker-backup-${toDateTimeLocal(now.toISOString()).replace(/[T:]/g, '-')}`;
+    if (compress) {
+        downloadFile(`${name}.json.gz`, await gzipText(json), 'application/gzip');
+    } else {
+        downloadFile(`${name}.json`, json, 'application/json');
+    }
+    return runs.length;
+}
+
+// ========================================
+// RUN SYNC
+// ========================================
+// Saved runs are synced with a self-hosted server (see server/sync-server.js).
+// Changes are queued in SYNC_STORE and pushed one run at a time with the
+// server revision they were based on; the server keeps whichever copy was
+// changed last. Deleted runs are pushed as tombstones so other devices delete
+// them too. Pulls fetch every change after the last position seen.
+
+// Called by the storage functions after a run is saved or deleted; set by the App while sync is on
+let syncListener = null;
+
+/**
+ * Ask for a sync soon, if sync is on
+ */
+function requestSync() {
+    if (syncListener) {
+        syncListener();
+    }
+}
+
+/**
+ * When a run was last changed
+ * @param {Object} run - Run or run summary
+ * @returns {number} Epoch ms - the run's date for runs saved before changes were tracked
+ */
+function runUpdatedAt(run) {
+    return run.updatedAt || Date.parse(run.date);
+}
+
+/**
+ * Whether a run is this runner's own rather than a teammate's pulled from the
+ * sync server. Only your own runs count towards records, statistics and predictions.
+ * @param {Object} run - Run or run summary
+ * @returns {boolean} True for your own runs
+ */
+function isOwnRun(run) {
+    return !run.owner || run.owner === appSettings.sync.name;
+}
+
+/**
+ * Load the sync position for a server
+ * @param {string} url - Sync server URL
+ * @returns {Object} { url, since } - since is 0 for a server not synced with before
+ */
+function loadSyncState(url) {
+    try {
+        const state = JSON.parse(localStorage.getItem(SYNC_STATE_KEY));
+        if (state && state.url === url && Number.isInteger(state.since)) {
+            return state;
+        }
+    } catch (error) {
+        console.error('Error loading sync state:', error);
+    }
+    return { url: url, since: 0 };
+}
+
+/**
+ * Save the sync position
+ * @param {Object} state - { url, since }
+ */
+function saveSyncState(state) {
+    try {
+        localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.error('Error saving sync state:', error);
+    }
+}
+
+/**
+ * Work out how long to wait before retrying a failed sync
+ * @param {number} failures - Failed attempts in a row, from 1
+ * @returns {number} Delay in ms
+ */
+function syncRetryDelay(failures) {
+    return Math.min(SYNC_RETRY_BASE_MS * Math.pow(2, failures - 1), SYNC_RETRY_MAX_MS);
+}
+
+/**
+ * Call the sync server
+ * @param {Object} sync - Sync settings
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the server URL, e.g. "/runs?since=0"
+ * @param {Object} body - JSON body, if any
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {Error} If the server can't be reached or replies with an error
+ */
+async function syncRequest(sync, method, path, body) {
+    const headers = { 'Accept': 'application/json' };
+    if (body) {
+        headers['Content-Type'] = 'application/json';
+    }
+    if (sync.token) {
+        headers['Authorization'] = `Bearer ${sync.token}`;
+    }
+
+    let response;
+    try {
+        response = await fetch(sync.url.replace(/\/+$/, '') + path, {
+            method: method,
+            headers: headers,
+            body: body ? JSON.stringify(body) : undefined,
+            cache: 'no-store' // Never answered from the service worker cache
+        });
+    } catch (error) {
+        throw new Error(navigator.onLine === false ? 'Offline' : "Can't reach the server");
+    }
+    if (!response.ok) {
+        throw new Error(response.status === 401 ? 'Server rejected the access token' : `Server replied ${response.status}`);
+    }
+    return await response.json();
+}
+
+/**
+ * Push one queued change to the server
+ * @param {Object} sync - Sync settings
+ * @param {Object} entry - Queue entry ({ runId, deleted, updatedAt })
+ * @returns {Promise<boolean>} True if the server took our copy, false if it kept a newer one
+ */
+async function pushRunChange(sync, entry) {
+    const run = entry.deleted ? null : await loadRun(entry.runId);
+    if (!entry.deleted && !run) {
+        return true; // Deleted since it was queued - its tombstone is queued instead
+    }
+
+    // Local bookkeeping stays on this device
+    const payload = { ...run };
+    delete payload.trackPoints;
+    delete payload.syncRevision;
+    delete payload.updatedAt;
+    const result = await syncRequest(sync, 'PUT', `/runs/${encodeURIComponent(entry.runId)}`, {
+        baseRevision: run ? run.syncRevision || 0 : null,
+        updatedAt: entry.updatedAt,
+        deleted: entry.deleted,
+        run: run ? { ...payload, owner: payload.owner || sync.name || null } : null
+    });
+
+    if (result.applied) {
+        await markRunPushed(entry.runId, entry.updatedAt, result.change.revision);
+    } else {
+        await applyRemoteChanges([result.change]);
+    }
+    return result.applied;
+}
+
+/**
+ * Sync saved runs with the server: push every queued change, then pull
+ * the changes made elsewhere since the last sync
+ * @param {Object} sync - Sync settings
+ * @returns {Promise<Object>} { pushed, pulled } - counts of changes sent and received
+ */
+async function syncRuns(sync) {
+    let pushed = 0;
+    for (const entry of await loadSyncQueue()) {
+        if (await pushRunChange(sync, entry)) {
+            pushed++;
+        }
+    }
+
+    const state = loadSyncState(sync.url);
+    const result = await syncRequest(sync, 'GET', `/runs?since=${state.since}`);
+    const pulled = await applyRemoteChanges(result.changes);
+    saveSyncState({ url: sync.url, since: result.cursor });
+
+    return { pushed: pushed, pulled: pulled };
+}
+
+// ========================================
+// COMPONENTS
+// ========================================
+
+/**
+ * Status Bar Component
+ * Displays run state, GPS status, and wake lock toggle
+ */
+function StatusBar({ runState, autoPaused, gpsStatus, keepAwake, setKeepAwake, wakeLockSupported }) {
+    const stateLabels = {
+        idle: 'Ready',
+        setup: 'Setup',
+        running: 'Running',
+        paused: 'Paused',
+        finished: 'Finished'
+    };
+
+    return (
+        <div className="bg-black bg-opacity-30 p-4 space-y-2">
+            <div className="flex justify-between items-center">
+                <span className="text-sm font-semibold">{autoPaused ? 'Auto-paused' : stateLabels[runState]}</span>
+                <span className="text-xs">GPS: {gpsStatus}</span>
+            </div>
+            
+            {wakeLockSupported ? (
+                <label className="flex items-center justify-between cursor-pointer">
+                    <span className="text-xs">Keep screen awake</span>
+                    <input
+                        type="checkbox"
+                        checked={keepAwake}
+                        onChange={(e) => setKeepAwake(e.target.checked)}
+                        className="w-5 h-5"
+                    />
+                </label>
+            ) : (
+                <div className="text-xs opacity-50">Wake lock not supported</div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Workout Step Editor Component
+ * Edits one workout step: distance or time, amount and optional target pace
+ */
+function WorkoutStepEditor({ title, step, onChange, enabled, onToggle }) {
+    const pace = (step && step.pace) || null;
+    const [paceText, setPaceText] = useState(pace ? formatPace(pace) : '');
+    const units = currentUnits();
+
+    // Show the step's pace again when it changes from outside the editor (the
+    // step is switched off and on, or the units change) - not while typing
+    useEffect(() => {
+        if (parsePace(paceText) !== pace) {
+            setPaceText(pace ? formatPace(pace) : '');
+        }
+    }, [pace, units.distance]);
+
+    const inputClass = "px-2 py-2 bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500";
+
+    return (
+        <div className="bg-gray-900 bg-opacity-50 rounded-lg p-3 space-y-2">
+            <div className="flex items-center justify-between">
+                <span className="font-semibold">{title}</span>
+                {onToggle && (
+                    <input
+                        type="checkbox"
+                        checked={enabled}
+                        onChange={(e) => onToggle(e.target.checked)}
+                        className="w-5 h-5"
+                    />
+                )}
+            </div>
+
+            {enabled && (
+                <div className="grid grid-cols-3 gap-2 text-sm">
+                    <select
+                        value={step.type}
+                        onChange={(e) => onChange({ ...step, type: e.target.value, value: e.target.value === 'distance' ? 400 * units.shortDistanceMeters : 60 })}
+                        className={inputClass}
+                    >
+                        <option value="distance">{units.shortDistanceLabel}</option>
+                        <option value="time">Minutes</option>
+                    </select>
+                    <input
+                        type="number"
+                        value={step.type === 'distance' ? Math.round(step.value / units.shortDistanceMeters) : step.value / 60}
+                        onChange={(e) => {
+                            const amount = Math.max(0, parseFloat(e.target.value) || 0);
+                            onChange({ ...step, value: step.type === 'distance' ? amount * units.shortDistanceMeters : Math.round(amount * 60) });
+                        }}
+                        step={step.type === 'distance' ? 100 : 0.5}
+                        min="0"
+                        className={inputClass}
+                    />
+                    <input
+                        type="text"
+                        inputMode="numeric"
+                        value={paceText}
+                        onChange={(e) => {
+                            setPaceText(e.target.value);
+                            onChange({ ...step, pace: parsePace(e.target.value) });
+                        }}
+                        placeholder={`Pace m:ss/${units.distance}`}
+                        className={inputClass}
+                    />
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Workout Builder Component
+ * Builds a warm-up, repeated work/recovery blocks and a cool-down
+ */
+function WorkoutBuilder({ workout, onChange, onSave }) {
+    const update = (changes) => onChange({ ...workout, ...changes });
+    const defaults = createDefaultWorkout();
+
+    return (
+        <div className="space-y-3">
+            <input
+                type="text"
+                value={workout.name}
+                onChange={(e) => update({ name: e.target.value })}
+                placeholder="Workout name (e.g. 4 x 400m)"
+                className="w-full px-3 py-2 bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+            />
+
+            <WorkoutStepEditor
+                title="Warm-up"
+                step={workout.warmup || defaults.warmup}
+                enabled={!!workout.warmup}
+                onToggle={(on) => update({ warmup: on ? defaults.warmup : null })}
+                onChange={(step) => update({ warmup: step })}
+            />
+
+            <div className="flex items-center justify-between">
+                <span className="font-semibold">Repeats</span>
+                <input
+                    type="number"
+                    value={workout.repeats}
+                    onChange={(e) => update({ repeats: Math.max(1, parseInt(e.target.value) || 1) })}
+                    min="1"
+                    className="w-20 px-2 py-2 text-center bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                />
+            </div>
+
+            <WorkoutStepEditor
+                title="Work"
+                step={workout.work}
+                enabled={true}
+                onChange={(step) => update({ work: step })}
+            />
+            <WorkoutStepEditor
+                title="Recovery"
+                step={workout.recovery || defaults.recovery}
+                enabled={!!workout.recovery}
+                onToggle={(on) => update({ recovery: on ? defaults.recovery : null })}
+                onChange={(step) => update({ recovery: step })}
+            />
+            <WorkoutStepEditor
+                title="Cool-down"
+                step={workout.cooldown || defaults.cooldown}
+                enabled={!!workout.cooldown}
+                onToggle={(on) => update({ cooldown: on ? defaults.cooldown : null })}
+                onChange={(step) => update({ cooldown: step })}
+            />
+
+            <button
+                onClick={onSave}
+                disabled={!workout.name.trim()}
+                className="w-full px-4 py-2 bg-blue-500 hover:bg-blue-600 disabled:opacity-50 rounded-lg font-semibold transition-colors"
+            >
+                Save Workout
+            </button>
+        </div>
+    );
+}
+
+/**
+ * Workout Results Component
+ * Shows the target and actual result of each workout step
+ */
+function WorkoutResults({ workout }) {
+    if (!workout || !workout.steps || workout.steps.length === 0) {
+        return null;
+    }
+
+    return (
+        <div>
+            <div className="text-lg opacity-75 mb-2">{workout.name || 'Workout'}</div>
+            <table className="w-full text-sm tabular-nums">
+                <thead>
+                    <tr className="text-gray-400 text-left">
+                        <th className="py-1 font-normal">Step</th>
+                        <th className="py-1 font-normal">Target</th>
+                        <th className="py-1 font-normal">Actual</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {workout.steps.map((result, i) => {
+                        const onTarget = result.targetPace && result.pace !== null ? result.pace <= result.targetPace : null;
+                        return (
+                            <tr key={i} className={`border-t border-gray-700 ${result.completed ? '' : 'opacity-50'}`}>
+                                <td className="py-1">{result.label}</td>
+                                <td className="py-1">{formatStep({ type: result.type, value: result.value, pace: result.targetPace })}</td>
+                                <td className={`py-1 ${onTarget === null ? '' : onTarget ? 'text-green-400' : 'text-red-400'}`}>
+                                    {result.type === 'distance' ? formatTime(result.time) : formatDistanceWithUnit(result.distance)}
+                                    {' · '}
+                                    {result.pace !== null ? formatPaceWithUnit(result.pace) : '–:–'}
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+/**
+ * Run Setup Component
+ * Set goal pace, target distance, a pacing plan and an optional interval workout before starting run
+ */
+function RunSetup({ onStart, onCancel }) {
+    // Goal pace and target distance are entered in display units
+    const units = currentUnits();
+    const imperial = units === UNIT_SYSTEMS.imperial;
+    const [goalMinutes, setGoalMinutes] = useState(imperial ? 8 : 5);
+    const [goalSeconds, setGoalSeconds] = useState(0);
+    const [targetDistance, setTargetDistance] = useState(imperial ? 3.1 : 5.0);
+    // 'pace' for a fixed goal pace, or 'finish' for a goal finish time over the target distance
+    const [goalMode, setGoalMode] = useState('pace');
+    const [finishTimeText, setFinishTimeText] = useState('25:00');
+    // Pacing plan over the target distance; the spread and custom paces are per km or mile
+    const [planType, setPlanType] = useState('even');
+    const [planSpread, setPlanSpread] = useState(10);
+    const [customPaceTexts, setCustomPaceTexts] = useState([]);
+    const [autoPause, setAutoPause] = useState(false);
+    const [gradeAdjusted, setGradeAdjusted] = useState(false);
+
+    // Interval workout: '' for none, 'new' for the builder, or a saved workout id
+    const [workouts, setWorkouts] = useState([]);
+    const [workoutChoice, setWorkoutChoice] = useState('');
+    const [draftWorkout, setDraftWorkout] = useState(createDefaultWorkout());
+
+    // Ghost runner: '' for none, or the id of a saved run to race
+    const [ghostRuns, setGhostRuns] = useState([]);
+    const [ghostRunId, setGhostRunId] = useState('');
+
+    // Predicted 10k, offered as a one-tap goal pace
+    const [predicted10k, setPredicted10k] = useState(null);
+
+    useEffect(() => {
+        loadWorkouts().then(setWorkouts);
+        loadRunHistory().then((history) => {
+            setGhostRuns(history.filter(run => run.trackPoints > 0));
+            setPredicted10k(predictRaceTimes(history.filter(isTrainingRun))['10k'] || null);
+        });
+    }, []);
+
+    const handleUsePrediction = () => {
+        const secondsPerUnit = Math.floor(Math.round(predicted10k.pace * units.distanceMeters) / 1000); // As formatPace shows it
+        setGoalMinutes(Math.floor(secondsPerUnit / 60));
+        setGoalSeconds(secondsPerUnit % 60);
+    };
+
+    const selectedWorkout = workoutChoice === 'new'
+        ? draftWorkout
+        : workouts.find(w => w.id === workoutChoice) || null;
+
+    const handleSaveWorkout = async () => {
+        const workout = { ...draftWorkout, id: draftWorkout.id || Date.now().toString() };
+        try {
+            await saveWorkout(workout);
+            setWorkouts(await loadWorkouts());
+            setWorkoutChoice(workout.id);
+            setDraftWorkout(createDefaultWorkout());
+        } catch (error) {
+            console.error('Error saving workout:', error);
+            alert(storageErrorMessage(error));
+        }
+    };
+
+    const handleDeleteWorkout = async () => {
+        if (!confirm(`Delete the workout "${selectedWorkout.name}"?`)) return;
+        try {
+            await deleteWorkout(selectedWorkout.id);
+            setWorkouts(await loadWorkouts());
+            setWorkoutChoice('');
+        } catch (error) {
+            console.error('Error deleting workout:', error);
+            alert(storageErrorMessage(error));
+        }
+    };
+
+    const targetDistanceKm = targetDistance * units.distanceMeters / 1000;
+    const goalFinishTime = goalMode === 'finish' ? parseDuration(finishTimeText) : null;
+    // In finish-time mode the goal pace is the even pace for the goal time
+    const basePace = goalMode === 'finish'
+        ? (goalFinishTime ? goalFinishTime / targetDistanceKm : null)
+        : (goalMinutes * 60 + goalSeconds) * 1000 / units.distanceMeters;
+
+    const customPaces = customPaceTexts.map(parsePace);
+    const pacingPlan = buildPacingPlan(planType, basePace, targetDistanceKm, planSpread * 1000 / units.distanceMeters, customPaces);
+    const customPacesInvalid = planType === 'custom' && pacingPlan !== null &&
+        pacingPlan.segments.some((segment, i) => (customPaceTexts[i] || '').trim() !== '' && customPaces[i] === null);
+
+    const handleCustomPaceChange = (index, text) => {
+        const texts = [...customPaceTexts];
+        texts[index] = text;
+        setCustomPaceTexts(texts);
+    };
+
+    const handleStart = () => {
+        onStart({
+            // A custom plan's average pace becomes the goal pace
+            goalPace: planType === 'custom' ? planTimeAt(pacingPlan, targetDistanceKm * 1000) / targetDistanceKm : basePace,
+            goalFinishTime: goalFinishTime,
+            targetDistance: targetDistanceKm,
+            pacingPlan: pacingPlan,
+            autoPause: autoPause,
+            gradeAdjusted: gradeAdjusted,
+            workout: selectedWorkout,
+            ghostRunId: ghostRunId || null
+        });
+    };
+
+    return (
+        <div className="bg-gray-800 rounded-2xl p-8 max-w-md w-full shadow-2xl">
+            <h2 className="text-3xl font-bold text-center mb-8">Run Setup</h2>
+            
+            <div className="space-y-6">
+                {/* Goal type */}
+                <div className="grid grid-cols-2 gap-2">
+                    {[['pace', 'Goal pace'], ['finish', 'Finish time']].map(([mode, label]) => (
+                        <button
+                            key={mode}
+                            onClick={() => setGoalMode(mode)}
+                            className={`px-4 py-2 rounded-lg ${goalMode === mode ? 'bg-green-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+
+                {/* Goal Finish Time */}
+                {goalMode === 'finish' && (
+                    <div>
+                        <label className="block text-sm opacity-75 mb-3">Goal Finish Time (h:mm:ss or mm:ss)</label>
+                        <input
+                            type="text"
+                            inputMode="numeric"
+                            value={finishTimeText}
+                            onChange={(e) => setFinishTimeText(e.target.value)}
+                            placeholder="25:00"
+                            className={`w-full h-16 text-3xl font-bold text-center bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 ${goalFinishTime ? 'focus:ring-green-500' : 'ring-2 ring-red-500'}`}
+                        />
+                        <div className="text-sm text-center mt-2 opacity-75">
+                            {goalFinishTime
+                                ? `Even pace ${formatPaceWithUnit(goalFinishTime / targetDistanceKm)} - the pace you need is recalculated as you run`
+                                : 'Enter a time such as 25:00 or 1:45:00'}
+                        </div>
+                    </div>
+                )}
+
+                {/* Goal Pace */}
+                {goalMode === 'pace' && (
+                    <div>
+                        <label className="block text-sm opacity-75 mb-3">Goal Pace (per {units.distance})</label>
+                        <div className="flex items-center justify-center gap-4">
+                            <div className="flex flex-col items-center">
+                                <input
+                                    type="number"
+                                    value={goalMinutes}
+                                    onChange={(e) => setGoalMinutes(Math.max(0, parseInt(e.target.value) || 0))}
+                                    className="w-20 h-20 text-4xl font-bold text-center bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                                    min="0"
+                                    max="59"
+                                />
+                                <span className="text-xs mt-2 opacity-75">min</span>
+                            </div>
+                            <span className="text-4xl font-bold">:</span>
+                            <div className="flex flex-col items-center">
+                                <input
+                                    type="number"
+                                    value={goalSeconds}
+                                    onChange={(e) => setGoalSeconds(Math.max(0, Math.min(59, parseInt(e.target.value) || 0)))}
+                                    className="w-20 h-20 text-4xl font-bold text-center bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                                    min="0"
+                                    max="59"
+                                />
+                                <span className="text-xs mt-2 opacity-75">sec</span>
+                            </div>
+                        </div>
+                        {predicted10k && (
+                            <button
+                                onClick={handleUsePrediction}
+                                className="w-full mt-3 px-4 py-2 text-sm bg-gray-700 hover:bg-gray-600 rounded-lg"
+                            >
+                                🔮 Pace for predicted 10k ({formatTime(predicted10k.time)} → {formatPaceWithUnit(predicted10k.pace)})
+                            </button>
+                        )}
+                    </div>
+                )}
+
+                {/* Target Distance */}
+                <div>
+                    <label className="block text-sm opacity-75 mb-3">Target Distance ({units.distance})</label>
+                    <input
+                        type="number"
+                        value={targetDistance}
+                        onChange={(e) => setTargetDistance(Math.max(0.1, parseFloat(e.target.value) || 0.1))}
+                        step="0.1"
+                        className="w-full h-16 text-3xl font-bold text-center bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                        min="0.1"
+                    />
+                </div>
+
+                {/* Pacing Plan */}
+                <div>
+                    <label className="block text-sm opacity-75 mb-3">Pacing Plan</label>
+                    <div className="grid grid-cols-2 gap-2">
+                        {PACING_PLANS.map((plan) => (
+                            <button
+                                key={plan.id}
+                                onClick={() => setPlanType(plan.id)}
+                                className={`px-4 py-2 rounded-lg ${planType === plan.id ? 'bg-green-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+                            >
+                                {plan.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {(planType === 'negative' || planType === 'progressive') && (
+                        <label className="flex items-center justify-between mt-3 text-sm">
+                            <span>
+                                {planType === 'negative'
+                                    ? `Second half faster by (sec/${units.distance})`
+                                    : `First to last ${units.distance} faster by (sec)`}
+                            </span>
+                            <input
+                                type="number"
+                                value={planSpread}
+                                onChange={(e) => setPlanSpread(Math.max(0, Math.min(120, parseInt(e.target.value) || 0)))}
+                                className="w-20 px-3 py-2 text-center bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                                min="0"
+                                max="120"
+                            />
+                        </label>
+                    )}
+
+                    {pacingPlan && planType !== 'even' && (
+                        <div className="mt-3 text-sm space-y-1 max-h-64 overflow-y-auto">
+                            {pacingPlan.segments.map((segment, i) => (
+                                <div key={i} className="flex justify-between items-center">
+                                    <span className="opacity-75">To {formatDistanceWithUnit(segment.end)}</span>
+                                    {planType === 'custom' ? (
+                                        <input
+                                            type="text"
+                                            inputMode="numeric"
+                                            value={customPaceTexts[i] || ''}
+                                            onChange={(e) => handleCustomPaceChange(i, e.target.value)}
+                                            placeholder={formatPace(basePace)}
+                                            className={`w-24 px-3 py-1 text-center bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 ${(customPaceTexts[i] || '').trim() !== '' && customPaces[i] === null ? 'ring-2 ring-red-500' : 'focus:ring-green-500'}`}
+                                        />
+                                    ) : (
+                                        <span className="tabular-nums">{formatPaceWithUnit(segment.pace)}</span>
+                                    )}
+                                </div>
+                            ))}
+                            {planType === 'custom' && (
+                                <div className="text-xs opacity-75 pt-1">
+                                    Pace per {units.distance} (m:ss); blank segments use the goal pace. Plan total {formatTime(Math.round(planTimeAt(pacingPlan, targetDistanceKm * 1000)))}
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+
+                {/* Auto-pause */}
+                <label className="flex items-center justify-between cursor-pointer">
+                    <span>
+                        <span className="block">Auto-pause</span>
+                        <span className="block text-xs opacity-75">Pause the clock when you stop moving</span>
+                    </span>
+                    <input
+                        type="checkbox"
+                        checked={autoPause}
+                        onChange={(e) => setAutoPause(e.target.checked)}
+                        className="w-6 h-6"
+                    />
+                </label>
+
+                {/* Grade-adjusted pace */}
+                <label className="flex items-center justify-between cursor-pointer">
+                    <span>
+                        <span className="block">Grade-adjusted pace</span>
+                        <span className="block text-xs opacity-75">Judge pace by effort, so hills don't count against you</span>
+                    </span>
+                    <input
+                        type="checkbox"
+                        checked={gradeAdjusted}
+                        onChange={(e) => setGradeAdjusted(e.target.checked)}
+                        className="w-6 h-6"
+                    />
+                </label>
+
+                {/* Interval Workout */}
+                <div>
+                    <label className="block text-sm opacity-75 mb-3">Workout</label>
+                    <select
+                        value={workoutChoice}
+                        onChange={(e) => setWorkoutChoice(e.target.value)}
+                        className="w-full px-3 py-3 bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                    >
+                        <option value="">None - just run</option>
+                        {workouts.map((workout) => (
+                            <option key={workout.id} value={workout.id}>{workout.name}</option>
+                        ))}
+                        <option value="new">+ New workout…</option>
+                    </select>
+
+                    {workoutChoice === 'new' && (
+                        <div className="mt-3">
+                            <WorkoutBuilder
+                                workout={draftWorkout}
+                                onChange={setDraftWorkout}
+                                onSave={handleSaveWorkout}
+                            />
+                        </div>
+                    )}
+
+                    {selectedWorkout && workoutChoice !== 'new' && (
+                        <div className="mt-3 text-sm space-y-1">
+                            {expandWorkout(selectedWorkout).map((step, i) => (
+                                <div key={i} className="flex justify-between opacity-75">
+                                    <span>{step.label}</span>
+                                    <span>{formatStep(step)}</span>
+                                </div>
+                            ))}
+                            <button
+                                onClick={handleDeleteWorkout}
+                                className="text-red-400 hover:text-red-300 text-sm pt-2"
+                            >
+                                Delete workout
+                            </button>
+                        </div>
+                    )}
+                </div>
+
+                {/* Ghost Runner */}
+                <div>
+                    <label className="block text-sm opacity-75 mb-3">Race a Ghost</label>
+                    <select
+                        value={ghostRunId}
+                        onChange={(e) => setGhostRunId(e.target.value)}
+                        className="w-full px-3 py-3 bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+                    >
+                        <option value="">No ghost</option>
+                        {ghostRuns.map((run) => (
+                            <option key={run.id} value={run.id}>
+                                {formatDate(run.date)} - {formatDistanceWithUnit(parseFloat(run.distance) * 1000)} in {formatTime(run.time)}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            <div className="mt-8 space-y-3">
+                <button
+                    onClick={handleStart}
+                    disabled={(goalMode === 'finish' && !goalFinishTime) || customPacesInvalid}
+                    className="w-full px-8 py-4 text-xl font-bold bg-green-500 hover:bg-green-600 rounded-lg shadow-lg active:scale-95 transition-transform disabled:opacity-50"
+                >
+                    Start Run
+                </button>
+                <button
+                    onClick={onCancel}
+                    className="w-full px-6 py-3 text-lg bg-gray-600 hover:bg-gray-500 rounded-lg active:scale-95 transition-transform"
+                >
+                    Cancel
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Metric Display Component
+ * Shows current pace, distance, time, and progress during run
+ */
+function MetricDisplay({ currentPace, paceWindow, gradeAdjusted, gradeAdjustedPace, averagePace, distance, time, runState, autoPaused, workoutStatus, ghostGap, targetDistance, goalPace, finishGoal, planStatus }) {
+    const distanceNum = parseFloat(distance);
+    const progress = targetDistance > 0 ? Math.min((distanceNum / targetDistance) * 100, 100) : 0;
+    const units = currentUnits();
+    
+    return (
+        <div className="text-center space-y-6 mb-8 w-full max-w-md px-4">
+            {/* Progress Bar */}
+            {targetDistance > 0 && (
+                <div className="w-full">
+                    <div className="flex justify-between text-xs mb-2 opacity-75">
+                        <span>{formatDistanceWithUnit(distanceNum * 1000)}</span>
+                        <span>{formatDistanceWithUnit(targetDistance * 1000, 1)}</span>
+                    </div>
+                    <div className="w-full bg-gray-700 rounded-full h-4 overflow-hidden">
+                        <div 
+                            className="bg-green-500 h-full transition-all duration-500 rounded-full"
+                            style={{ width: `${progress}%` }}
+                        />
+                    </div>
+                    <div className="text-sm mt-1 opacity-75">{progress.toFixed(0)}% Complete</div>
+                </div>
+            )}
+
+            {autoPaused && (
+                <div className="text-lg font-bold uppercase tracking-wider bg-black bg-opacity-30 rounded-lg py-2">
+                    Auto-paused
+                </div>
+            )}
+
+            {/* Current workout step */}
+            {workoutStatus && (
+                <div className="bg-black bg-opacity-30 rounded-lg py-3 px-4">
+                    <div className="text-xs uppercase tracking-wider opacity-75">
+                        Step {workoutStatus.stepNumber} of {workoutStatus.totalSteps}
+                    </div>
+                    <div className="text-2xl font-bold">{workoutStatus.label}</div>
+                    <div className="text-lg tabular-nums">{workoutStatus.remaining}</div>
+                </div>
+            )}
+
+            {/* Gap to the ghost runner */}
+            {ghostGap && (
+                <div className="bg-black bg-opacity-30 rounded-lg py-3 px-4">
+                    <div className="text-xs uppercase tracking-wider opacity-75">Ghost</div>
+                    <div className="grid grid-cols-2 gap-4 text-xl font-bold tabular-nums">
+                        <span>{formatGhostGap(ghostGap.meters / units.shortDistanceMeters, units.shortDistance)}</span>
+                        <span>{ghostGap.seconds !== null ? formatGhostGap(ghostGap.seconds, 's') : 'Past finish'}</span>
+                    </div>
+                </div>
+            )}
+
+            {/* Finish-time goal */}
+            {finishGoal && (
+                <div className="bg-black bg-opacity-30 rounded-lg py-3 px-4">
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <div className="text-xs uppercase tracking-wider opacity-75">Goal Time</div>
+                            <div className="text-xl font-bold tabular-nums">{formatTime(finishGoal.goalTime)}</div>
+                        </div>
+                        <div>
+                            <div className="text-xs uppercase tracking-wider opacity-75">Projected</div>
+                            <div className="text-xl font-bold tabular-nums">
+                                {finishGoal.projectedFinish !== null ? formatTime(Math.round(finishGoal.projectedFinish)) : '–:–'}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Pacing plan */}
+            {planStatus && (
+                <div className="bg-black bg-opacity-30 rounded-lg py-3 px-4">
+                    <div className="text-xs uppercase tracking-wider opacity-75">
+                        Plan - segment {planStatus.segment} of {planStatus.segments}
+                    </div>
+                    <div className="grid grid-cols-2 gap-4 text-xl font-bold tabular-nums">
+                        <span>{formatPaceWithUnit(planStatus.pace)}</span>
+                        <span>{formatGhostGap(planStatus.gap, 's')}</span>
+                    </div>
+                </div>
+            )}
+
+            {/* Current Pace - Largest */}
+            <div>
+                <div className="text-xs uppercase tracking-wider opacity-75 mb-1">{paceWindow}s Pace</div>
+                <div className="text-6xl sm:text-7xl font-bold tabular-nums metric-text">
+                    {currentPace !== null ? formatPace(currentPace) : '–:–'}
+                </div>
+                <div className="text-xl opacity-75 mt-1">/{units.distance}</div>
+                {gradeAdjusted && (
+                    <div className="text-lg tabular-nums mt-1">
+                        <span className="opacity-75">GAP </span>
+                        <span className="font-bold">{gradeAdjustedPace !== null ? formatPace(gradeAdjustedPace) : '–:–'}</span>
+                        <span className="opacity-75">/{units.distance}</span>
+                    </div>
+                )}
+            </div>
+
+            {/* Distance and Time */}
+            <div className="grid grid-cols-2 gap-6">
+                <div>
+                    <div className="text-xs uppercase tracking-wider opacity-75 mb-1">Distance</div>
+                    <div className="text-4xl font-bold tabular-nums metric-text">{formatDistance(distanceNum * 1000)}</div>
+                    <div className="text-sm opacity-75">{units.distance}</div>
+                </div>
+                <div>
+                    <div className="text-xs uppercase tracking-wider opacity-75 mb-1">Time</div>
+                    <div className="text-4xl font-bold tabular-nums metric-text">{formatTime(time)}</div>
+                </div>
+            </div>
+
+            {/* Average pace and goal */}
+            <div className="grid grid-cols-2 gap-6">
+                <div>
+                    <div className="text-xs uppercase tracking-wider opacity-75 mb-1">Avg Pace</div>
+                    <div className="text-2xl font-bold tabular-nums metric-text">
+                        {averagePace !== null ? formatPace(averagePace) : '–:–'}
+                    </div>
+                </div>
+                <div>
+                    <div className="text-xs uppercase tracking-wider opacity-75 mb-1">
+                        {workoutStatus ? 'Step Target' : finishGoal ? 'Needed' : 'Goal'}
+                    </div>
+                    <div className="text-2xl font-bold tabular-nums metric-text">
+                        {finishGoal && !workoutStatus
+                            ? (finishGoal.requiredPace === null ? 'Done' : finishGoal.requiredPace === 0 ? 'Over time' : formatPace(finishGoal.requiredPace))
+                            : goalPace ? formatPace(goalPace) : 'Easy'}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Controls Component
+ * Start, Pause, Resume, and Finish buttons
+ */
+function Controls({ runState, onStart, onPause, onResume, onFinish }) {
+    const buttonClass = "px-12 py-6 text-2xl font-bold rounded-lg shadow-lg active:scale-95 transition-transform";
+    
+    return (
+        <div className="space-y-4 w-full max-w-sm">
+            {runState === 'idle' && (
+                <button
+                    onClick={onStart}
+                    className={`${buttonClass} bg-green-500 hover:bg-green-600 text-white w-full`}
+                >
+                    Start Run
+                </button>
+            )}
+
+            {runState === 'running' && (
+                <>
+                    <button
+                        onClick={onPause}
+                        className={`${buttonClass} bg-yellow-500 hover:bg-yellow-600 text-white w-full`}
+                    >
+                        Pause
+                    </button>
+                    <button
+                        onClick={onFinish}
+                        className={`${buttonClass} bg-red-500 hover:bg-red-600 text-white w-full`}
+                    >
+                        Finish
+                    </button>
+                </>
+            )}
+
+            {runState === 'paused' && (
+                <>
+                    <button
+                        onClick={onResume}
+                        className={`${buttonClass} bg-green-500 hover:bg-green-600 text-white w-full`}
+                    >
+                        Resume
+                    </button>
+                    <button
+                        onClick={onFinish}
+                        className={`${buttonClass} bg-red-500 hover:bg-red-600 text-white w-full`}
+                    >
+                        Finish
+                    </button>
+                </>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Split Table Component
+ * Lists per-kilometre or per-mile splits with the difference from goal pace.
+ * The fastest and slowest full splits are highlighted.
+ */
+function SplitTable({ splits, goalPace }) {
+    if (!splits || splits.length === 0) {
+        return null;
+    }
+
+    // Only full-length splits compete for fastest/slowest
+    const units = currentUnits();
+    const fullSplits = splits.filter(split => split.distance >= units.distanceMeters);
+    const paces = fullSplits.map(split => split.pace);
+    const fastest = fullSplits.length > 1 ? Math.min(...paces) : null;
+    const slowest = fullSplits.length > 1 ? Math.max(...paces) : null;
+
+    return (
+        <table className="w-full text-sm tabular-nums">
+            <thead>
+                <tr className="text-gray-400 text-left">
+                    <th className="py-1 font-normal">{units.splitLabel}</th>
+                    <th className="py-1 font-normal">Time</th>
+                    <th className="py-1 font-normal">Pace</th>
+                    {goalPace > 0 && <th className="py-1 font-normal">vs Goal</th>}
+                </tr>
+            </thead>
+            <tbody>
+                {splits.map((split) => {
+                    const isFull = split.distance >= units.distanceMeters;
+                    const rowClass = isFull && split.pace === fastest
+                        ? 'text-green-400 font-semibold'
+                        : isFull && split.pace === slowest
+                            ? 'text-red-400 font-semibold'
+                            : '';
+                    const diff = split.pace - goalPace;
+
+                    return (
+                        <tr key={split.number} className={`border-t border-gray-700 ${rowClass}`}>
+                            <td className="py-1">
+                                {isFull ? split.number : formatNumber(split.number - 1 + split.distance / units.distanceMeters, 2)}
+                            </td>
+                            <td className="py-1">{formatTime(split.time)}</td>
+                            <td className="py-1">{formatPaceWithUnit(split.pace)}</td>
+                            {goalPace > 0 && (
+                                <td className={`py-1 ${diff <= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                                    {formatPaceDiff(diff)}
+                                </td>
+                            )}
+                        </tr>
+                    );
+                })}
+            </tbody>
+        </table>
+    );
+}
+
+/**
+ * Plan Results Table Component
+ * Lists each pacing plan segment's target against the pace actually run,
+ * and the running total against the plan at the end of the segment
+ */
+function PlanResultsTable({ results }) {
+    const units = currentUnits();
+
+    return (
+        <table className="w-full text-sm tabular-nums">
+            <thead>
+                <tr className="text-gray-400 text-left">
+                    <th className="py-1 font-normal">To ({units.distance})</th>
+                    <th className="py-1 font-normal">Plan</th>
+                    <th className="py-1 font-normal">Actual</th>
+                    <th className="py-1 font-normal">vs Plan</th>
+                </tr>
+            </thead>
+            <tbody>
+                {results.map((result) => (
+                    <tr key={result.end} className={`border-t border-gray-700 ${result.pace === null ? 'opacity-50' : ''}`}>
+                        <td className="py-1">{formatDistance(result.end)}</td>
+                        <td className="py-1">{formatPaceWithUnit(result.targetPace)}</td>
+                        <td className={`py-1 ${result.pace === null ? '' : result.pace <= result.targetPace ? 'text-green-400' : 'text-red-400'}`}>
+                            {result.pace !== null ? formatPaceWithUnit(result.pace) : '–:–'}
+                        </td>
+                        <td className={`py-1 ${result.gap === null ? '' : result.gap >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                            {result.gap !== null ? formatGhostGap(result.gap, 's') : 'Not reached'}
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+/**
+ * Summary View Component
+ * Displays run summary after finish with ability to add notes and save
+ */
+function SummaryView({ totalTime, elapsedTime, totalDistance, splits, track, ascent, descent, gradeAdjustedPace, goalPace, finishGoalResult, planResults, workout, newRecords, onNewRun, onSaveRun }) {
+    const [notes, setNotes] = useState('');
+    const [tags, setTags] = useState([]);
+    const [tagSuggestions, setTagSuggestions] = useState([]);
+    const [saved, setSaved] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [saveError, setSaveError] = useState(null);
+    const avgPace = (totalTime / parseFloat(totalDistance));
+    
+    useEffect(() => {
+        loadRunHistory().then(history => setTagSuggestions(collectTags(history)));
+    }, []);
+
+    const handleSave = async () => {
+        setSaving(true);
+        setSaveError(null);
+        try {
+            await onSaveRun(notes, tags);
+            setSaved(true);
+        } catch (error) {
+            console.error('Error saving run:', error);
+            setSaveError(storageErrorMessage(error));
+        } finally {
+            setSaving(false);
+        }
+    };
+    
+    return (
+        <div className="bg-gray-800 rounded-2xl p-8 max-w-md w-full shadow-2xl">
+            <h2 className="text-3xl font-bold text-center mb-8">Run Summary</h2>
+
+            {/* New personal records */}
+            {newRecords.length > 0 && (
+                <div className="bg-yellow-500 bg-opacity-20 border border-yellow-400 rounded-lg p-4 mb-6">
+                    <div className="text-xl font-bold text-yellow-300 text-center mb-2">
+                        🏆 {newRecords.length === 1 ? 'New Personal Record!' : `${newRecords.length} New Personal Records!`}
+                    </div>
+                    {newRecords.map((record) => (
+                        <div key={record.id} className="flex justify-between text-sm">
+                            <span>{record.label}</span>
+                            <span className="font-semibold">
+                                {formatRecordValue(record.id, record.value)}
+                                {record.previous !== null && (
+                                    <span className="opacity-75 font-normal"> (was {formatRecordValue(record.id, record.previous)})</span>
+                                )}
+                            </span>
+                        </div>
+                    ))}
+                    {!saved && <div className="text-xs opacity-75 text-center mt-2">Save the run to keep these records</div>}
+                </div>
+            )}
+            
+            <div className="space-y-6 mb-8">
+                <div className="flex justify-between items-center border-b border-gray-700 pb-4">
+                    <span className="text-lg opacity-75">Moving Time</span>
+                    <span className="text-3xl font-bold">{formatTime(totalTime)}</span>
+                </div>
+
+                <div className="flex justify-between items-center border-b border-gray-700 pb-4">
+                    <span className="text-lg opacity-75">Elapsed Time</span>
+                    <span className="text-3xl font-bold">{formatTime(elapsedTime)}</span>
+                </div>
+                
+                <div className="flex justify-between items-center border-b border-gray-700 pb-4">
+                    <span className="text-lg opacity-75">Total Distance</span>
+                    <span className="text-3xl font-bold">{formatDistanceWithUnit(parseFloat(totalDistance) * 1000)}</span>
+                </div>
+                
+                <div className="flex justify-between items-center border-b border-gray-700 pb-4">
+                    <span className="text-lg opacity-75">Average Pace</span>
+                    <span className="text-3xl font-bold">{formatPaceWithUnit(avgPace)}</span>
+                </div>
+
+                {finishGoalResult && (
+                    <div className="border-b border-gray-700 pb-4">
+                        <div className="flex justify-between items-center">
+                            <span className="text-lg opacity-75">Goal Time</span>
+                            <span className="text-3xl font-bold">{formatTime(finishGoalResult.goalTime)}</span>
+                        </div>
+                        <div className={`text-right text-sm font-semibold ${finishGoalResult.margin !== null && finishGoalResult.margin >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                            {finishGoalResult.margin === null
+                                ? 'Target distance not reached'
+                                : finishGoalResult.margin >= 0
+                                    ? `Reached the target in ${formatTime(finishGoalResult.actualTime)} - ${formatTime(finishGoalResult.margin)} under goal`
+                                    : `Reached the target in ${formatTime(finishGoalResult.actualTime)} - ${formatTime(-finishGoalResult.margin)} over goal`}
+                        </div>
+                    </div>
+                )}
+
+                {gradeAdjustedPace !== null && (
+                    <div className="flex justify-between items-center border-b border-gray-700 pb-4">
+                        <span className="text-lg opacity-75">Grade-Adjusted Pace</span>
+                        <span className="text-3xl font-bold">{formatPaceWithUnit(gradeAdjustedPace)}</span>
+                    </div>
+                )}
+
+                {/* Elevation */}
+                {gradeAdjustedPace !== null && (
+                    <div className="border-b border-gray-700 pb-4">
+                        <div className="flex justify-between items-center mb-2">
+                            <span className="text-lg opacity-75">Elevation</span>
+                            <span className="text-xl font-bold">↑ {formatElevation(ascent)}  ↓ {formatElevation(descent)}</span>
+                        </div>
+                        <ElevationProfile track={track} />
+                    </div>
+                )}
+
+                {/* Splits */}
+                {splits && splits.length > 0 && (
+                    <div className="border-b border-gray-700 pb-4">
+                        <div className="text-lg opacity-75 mb-2">Splits</div>
+                        <SplitTable splits={splits} goalPace={goalPace} />
+                    </div>
+                )}
+
+                {/* Pacing plan vs actual */}
+                {planResults.length > 0 && (
+                    <div className="border-b border-gray-700 pb-4">
+                        <div className="text-lg opacity-75 mb-2">Pacing Plan</div>
+                        <PlanResultsTable results={planResults} />
+                    </div>
+                )}
+
+                {/* Workout Results */}
+                {workout && (
+                    <div className="border-b border-gray-700 pb-4">
+                        <WorkoutResults workout={workout} />
+                    </div>
+                )}
+
+                {/* Notes Input */}
+                <div className="pt-4">
+                    <label className="block text-sm opacity-75 mb-2">Run Notes (optional)</label>
+                    <textarea
+                        value={notes}
+                        onChange={(e) => setNotes(e.target.value)}
+                        placeholder="How did this run feel? Any observations?"
+                        className="w-full px-4 py-3 bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 resize-none"
+                        rows="4"
+                        disabled={saved}
+                    />
+                </div>
+
+                {/* Tags */}
+                <div>
+                    <label className="block text-sm opacity-75 mb-2">Tags (e.g. race, long, treadmill)</label>
+                    <TagEditor tags={tags} suggestions={tagSuggestions} onChange={setTags} disabled={saved} />
+                </div>
+            </div>
+
+            <div className="space-y-3">
+                {saveError && (
+                    <div className="w-full px-4 py-3 text-sm text-red-300 bg-red-900 bg-opacity-40 rounded-lg">
+                        {saveError}
+                    </div>
+                )}
+
+                {!saved && (
+                    <button
+                        onClick={handleSave}
+                        disabled={saving}
+                        className="w-full px-8 py-4 text-xl font-bold bg-blue-500 hover:bg-blue-600 rounded-lg shadow-lg active:scale-95 transition-transform"
+                    >
+                        {saving ? 'Saving…' : saveError ? 'Retry Save' : 'Save Run'}
+                    </button>
+                )}
+                
+                {saved && (
+                    <div className="w-full px-8 py-4 text-center text-green-400 font-semibold bg-green-900 bg-opacity-30 rounded-lg mb-3">
+                        ✓ Run Saved
+                    </div>
+                )}
+                
+                <button
+                    onClick={onNewRun}
+                    className="w-full px-8 py-4 text-xl font-bold bg-green-500 hover:bg-green-600 rounded-lg shadow-lg active:scale-95 transition-transform"
+                >
+                    {saved ? 'Back to Home' : 'Skip & Go Home'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Recovery Prompt Component
+ * Offers to resume or finish a run that was interrupted by a crash or reload
+ */
+function RecoveryPrompt({ session, onResume, onFinish, onDiscard }) {
+    return (
+        <div className="bg-gray-800 rounded-2xl p-8 max-w-md w-full shadow-2xl">
+            <h2 className="text-3xl font-bold text-center mb-4">Unfinished Run</h2>
+            <p className="text-center opacity-75 mb-6">
+                A run from {formatDate(new Date(session.savedAt).toISOString())} was interrupted.
+            </p>
+
+            <div className="space-y-4 mb-8">
+                <div className="flex justify-between items-center border-b border-gray-700 pb-3">
+                    <span className="text-lg opacity-75">Distance</span>
+                    <span className="text-2xl font-bold">{formatDistanceWithUnit(session.totalDistance)}</span>
+                </div>
+                <div className="flex justify-between items-center border-b border-gray-700 pb-3">
+                    <span className="text-lg opacity-75">Time</span>
+                    <span className="text-2xl font-bold">{formatTime(session.elapsedTime)}</span>
+                </div>
+            </div>
+
+            <div className="space-y-3">
+                <button
+                    onClick={onResume}
+                    className="w-full px-8 py-4 text-xl font-bold bg-green-500 hover:bg-green-600 rounded-lg shadow-lg active:scale-95 transition-transform"
+                >
+                    Resume Run
+                </button>
+                <button
+                    onClick={onFinish}
+                    className="w-full px-8 py-4 text-xl font-bold bg-blue-500 hover:bg-blue-600 rounded-lg shadow-lg active:scale-95 transition-transform"
+                >
+                    Finish & Save
+                </button>
+                <button
+                    onClick={onDiscard}
+                    className="w-full px-6 py-3 text-lg bg-gray-600 hover:bg-gray-500 rounded-lg active:scale-95 transition-transform"
+                >
+                    Discard
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Route Map Component
+ * Draws a saved GPS track as an SVG polyline with start and finish markers.
+ * When the raw fixes are available they are drawn underneath, so GPS glitches
+ * stand out against the filtered route.
+ * Rendered entirely offline - no map tiles are loaded.
+ */
+function RouteMap({ track, rawTrack }) {
+    const points = expandTrack(track);
+    const rawPoints = expandTrack(rawTrack);
+    const width = 300;
+    const height = 200;
+
+    if (points.length < 2) {
+        return <p className="text-sm text-gray-400 text-center py-4">No route recorded for this run</p>;
+    }
+
+    // Project both tracks together so they share the same scale
+    const projectedAll = projectTrack([...points, ...rawPoints], width, height, 12);
+    const projected = projectedAll.slice(0, points.length);
+    const projectedRaw = projectedAll.slice(points.length);
+    const toPolyline = (coords) => coords.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ');
+    const start = projected[0];
+    const finish = projected[projected.length - 1];
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full bg-gray-800 rounded">
+            {projectedRaw.length > 1 && (
+                <polyline
+                    points={toPolyline(projectedRaw)}
+                    fill="none"
+                    stroke="#9ca3af"
+                    strokeOpacity="0.5"
+                    strokeWidth="1"
+                />
+            )}
+            <polyline
+                points={toPolyline(projected)}
+                fill="none"
+                stroke="#60a5fa"
+                strokeWidth="3"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+            />
+            <circle cx={start.x} cy={start.y} r="6" fill="#22c55e" stroke="white" strokeWidth="2" />
+            <circle cx={finish.x} cy={finish.y} r="6" fill="#ef4444" stroke="white" strokeWidth="2" />
+        </svg>
+    );
+}
+
+/**
+ * Elevation Profile Component
+ * Draws altitude against distance for a saved GPS track as a filled SVG area.
+ * Renders nothing when the track has no altitude.
+ */
+function ElevationProfile({ track }) {
+    const points = expandTrack(track).filter(p => hasValue(p.altitude));
+    const width = 300;
+    const height = 100;
+    const padding = 4;
+
+    if (points.length < 2) {
+        return null;
+    }
+
+    const distances = cumulativeDistances(points);
+    const totalMeters = distances[distances.length - 1];
+    const altitudes = points.map(p => p.altitude);
+    const minAltitude = Math.min(...altitudes);
+    const maxAltitude = Math.max(...altitudes);
+    // Keep at least 10 m of vertical range so flat runs don't look mountainous
+    const range = Math.max(maxAltitude - minAltitude, 10);
+    const base = (minAltitude + maxAltitude - range) / 2;
+
+    const coords = points.map((p, i) => {
+        const x = padding + (totalMeters > 0 ? distances[i] / totalMeters : 0) * (width - 2 * padding);
+        const y = height - padding - ((p.altitude - base) / range) * (height - 2 * padding);
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    const area = [`${padding},${height}`, ...coords, `${width - padding},${height}`].join(' ');
+
+    return (
+        <div>
+            <svg viewBox={`0 0 ${width} ${height}`} className="w-full bg-gray-800 rounded">
+                <polygon points={area} fill="#60a5fa" fillOpacity="0.3" />
+                <polyline points={coords.join(' ')} fill="none" stroke="#60a5fa" strokeWidth="2" strokeLinejoin="round" />
+            </svg>
+            <div className="flex justify-between text-xs text-gray-400 mt-1">
+                <span>{formatNumber(Math.round(minAltitude / currentUnits().elevationMeters), 0)}–{formatElevation(maxAltitude)}</span>
+                <span>{formatDistanceWithUnit(totalMeters)}</span>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Run Editor Component
+ * Edits a saved run's title, date and notes
+ */
+function RunEditor({ run, onSave, onCancel }) {
+    const [title, setTitle] = useState(run.title || '');
+    const [date, setDate] = useState(toDateTimeLocal(run.date));
+    const [notes, setNotes] = useState(run.notes || '');
+    const inputClass = "w-full px-3 py-2 bg-gray-800 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500";
+
+    const handleSave = () => {
+        const parsed = new Date(date);
+        if (isNaN(parsed.getTime())) {
+            alert('Please enter a valid date and time');
+            return;
+        }
+        onSave({ title: title.trim(), date: parsed.toISOString(), notes: notes });
+    };
+
+    return (
+        <div className="space-y-3">
+            <label className="block">
+                <span className="block text-xs text-gray-400 mb-1">Title</span>
+                <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} placeholder="e.g. Sunday long run" className={inputClass} />
+            </label>
+            <label className="block">
+                <span className="block text-xs text-gray-400 mb-1">Date</span>
+                <input type="datetime-local" value={date} onChange={(e) => setDate(e.target.value)} className={inputClass} />
+            </label>
+            <label className="block">
+                <span className="block text-xs text-gray-400 mb-1">Notes</span>
+                <textarea value={notes} onChange={(e) => setNotes(e.target.value)} rows="3" className={`${inputClass} resize-none`} />
+            </label>
+            <div className="flex gap-2">
+                <button onClick={handleSave} className="flex-1 px-4 py-2 bg-green-500 hover:bg-green-600 rounded-lg font-semibold">
+                    Save changes
+                </button>
+                <button onClick={onCancel} className="flex-1 px-4 py-2 bg-gray-600 hover:bg-gray-500 rounded-lg">
+                    Cancel
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Trim Tool Component
+ * Cuts the start and/or end off a saved run's track, previewing the
+ * route and totals that will remain before anything is saved
+ */
+function TrimTool({ run, onSave, onCancel }) {
+    const points = expandTrack(run.track);
+    const lastIndex = points.length - 1;
+    const [startIndex, setStartIndex] = useState(0);
+    const [endIndex, setEndIndex] = useState(lastIndex);
+
+    if (points.length < 2) {
+        return <p className="text-sm text-gray-400">This run has no track to trim.</p>;
+    }
+
+    const kept = points.slice(startIndex, endIndex + 1);
+    const keptStart = kept[0].timestamp;
+    const keptEnd = kept[kept.length - 1].timestamp;
+    const keptPauses = clipPauses(run.pauses || [], keptStart, keptEnd);
+    const keptDistances = cumulativeDistances(kept, keptPauses);
+    const keptTime = Math.round((keptEnd - keptStart - pausedMsBefore(keptPauses, keptEnd)) / 1000);
+    const cutStart = Math.round((points[startIndex].timestamp - points[0].timestamp) / 1000);
+    const cutEnd = Math.round((points[lastIndex].timestamp - points[endIndex].timestamp) / 1000);
+
+    return (
+        <div className="space-y-3">
+            <RouteMap track={compactTrack(kept)} />
+            <label className="block text-sm">
+                <span className="flex justify-between text-xs text-gray-400 mb-1">
+                    <span>Cut from start</span>
+                    <span>{formatTime(cutStart)}</span>
+                </span>
+                <input
+                    type="range"
+                    min="0"
+                    max={lastIndex}
+                    value={startIndex}
+                    onChange={(e) => setStartIndex(Math.min(parseInt(e.target.value, 10), endIndex - 1))}
+                    className="w-full"
+                />
+            </label>
+            <label className="block text-sm">
+                <span className="flex justify-between text-xs text-gray-400 mb-1">
+                    <span>Cut from end</span>
+                    <span>{formatTime(cutEnd)}</span>
+                </span>
+                <input
+                    type="range"
+                    min="0"
+                    max={lastIndex}
+                    value={lastIndex - endIndex}
+                    onChange={(e) => setEndIndex(Math.max(lastIndex - parseInt(e.target.value, 10), startIndex + 1))}
+                    className="w-full"
+                />
+            </label>
+            <div className="text-sm text-center">
+                Keeps {formatDistanceWithUnit(keptDistances[keptDistances.length - 1])} over {formatTime(keptTime)} moving
+            </div>
+            <div className="flex gap-2">
+                <button
+                    onClick={() => onSave(startIndex, endIndex)}
+                    disabled={startIndex === 0 && endIndex === lastIndex}
+                    className="flex-1 px-4 py-2 bg-green-500 hover:bg-green-600 disabled:opacity-50 rounded-lg font-semibold"
+                >
+                    Save trimmed run
+                </button>
+                <button onClick={onCancel} className="flex-1 px-4 py-2 bg-gray-600 hover:bg-gray-500 rounded-lg">
+                    Cancel
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Run History Component
+ * Displays list of all saved runs
+ */
+function RunHistory({ onClose, onDeleteRun }) {
+    const [history, setHistory] = useState([]);
+    const [expandedId, setExpandedId] = useState(null);
+    const [expandedRun, setExpandedRun] = useState(null);
+
+    // Search, filters and sort - only a page of matching runs is rendered at a time
+    const [filters, setFilters] = useState(createDefaultHistoryFilters());
+    const [showFilters, setShowFilters] = useState(false);
+    const [visibleCount, setVisibleCount] = useState(RUN_HISTORY_PAGE_SIZE);
+
+    // Editing the expanded run: null, 'details' or 'trim'
+    const [editMode, setEditMode] = useState(null);
+
+    const fileInputRef = useRef(null);
+
+    const refreshHistory = async () => {
+        setHistory(await loadRunHistory());
+    };
+
+    // Load history on open
+    useEffect(() => {
+        refreshHistory();
+    }, []);
+
+    // Load the full run (with track) when a run is expanded
+    useEffect(() => {
+        setExpandedRun(null);
+        setEditMode(null);
+        if (expandedId === null) return;
+
+        let cancelled = false;
+        loadRun(expandedId)
+            .then((run) => {
+                if (!cancelled) setExpandedRun(run);
+            })
+            .catch((error) => console.error('Error loading run:', error));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [expandedId]);
+
+    const updateFilters = (changes) => {
+        setFilters({ ...filters, ...changes });
+        setVisibleCount(RUN_HISTORY_PAGE_SIZE);
+    };
+
+    const toggleTagFilter = (tag) => {
+        updateFilters({
+            tags: filters.tags.includes(tag) ? filters.tags.filter(t => t !== tag) : [...filters.tags, tag]
+        });
+    };
+
+    const handleTagsChange = async (runId, tags) => {
+        try {
+            const updated = await updateRunSummary(runId, { tags: tags });
+            setHistory(history.map(run => (run.id === runId ? updated : run)));
+        } catch (error) {
+            console.error('Error updating tags:', error);
+            alert(storageErrorMessage(error));
+        }
+    };
+
+    const handleSaveEdits = async (runId, changes) => {
+        try {
+            const updated = await updateRunSummary(runId, changes);
+            setHistory(history.map(run => (run.id === runId ? updated : run)));
+            setExpandedRun({ ...expandedRun, ...changes });
+            setEditMode(null);
+        } catch (error) {
+            console.error('Error updating run:', error);
+            alert(storageErrorMessage(error));
+        }
+    };
+
+    const handleTrim = async (startIndex, endIndex) => {
+        const trimmed = trimRun(expandedRun, startIndex, endIndex);
+        try {
+            await replaceRun(trimmed);
+            setExpandedRun(trimmed);
+            setEditMode(null);
+            refreshHistory();
+        } catch (error) {
+            console.error('Error trimming run:', error);
+            alert(storageErrorMessage(error));
+        }
+    };
+
+    const allTags = collectTags(history);
+    const matchingRuns = filterRuns(history, filters);
+    const visibleRuns = matchingRuns.slice(0, visibleCount);
+    const inputClass = "w-full px-2 py-2 text-sm bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500";
+
+    const handleDelete = async (run) => {
+        const question = isOwnRun(run)
+            ? 'Are you sure you want to delete this run?'
+            : `Remove ${run.owner}'s run from this device? It stays on the sync server and their devices.`;
+        if (confirm(question)) {
+            try {
+                await deleteRun(run.id);
+            } catch (error) {
+                console.error('Error deleting run:', error);
+                alert(storageErrorMessage(error));
+            }
+            refreshHistory();
+        }
+    };
+
+    const handleExport = async (runId, exporter) => {
+        try {
+            exporter(await loadRun(runId));
+        } catch (error) {
+            console.error('Error exporting run:', error);
+            alert(storageErrorMessage(error));
+        }
+    };
+
+    const handleImportFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        let run;
+        try {
+            run = parseGpx(await file.text());
+        } catch (error) {
+            console.error('Error importing GPX:', error);
+            alert(`Could not import ${file.name}: ${error.message}`);
+            return;
+        }
+
+        try {
+            await saveRun(run);
+        } catch (error) {
+            console.error('Error saving imported run:', error);
+            alert(storageErrorMessage(error));
+        }
+        refreshHistory();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center p-4 z-50 overflow-y-auto">
+            <div className="bg-gray-800 rounded-2xl p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-center mb-6">
+                    <h2 className="text-3xl font-bold">Run History</h2>
+                    <button
+                        onClick={onClose}
+                        className="text-4xl leading-none hover:text-gray-400 transition-colors"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".gpx,application/gpx+xml"
+                    onChange={handleImportFile}
+                    className="hidden"
+                />
+                <button
+                    onClick={() => fileInputRef.current.click()}
+                    className="w-full mb-6 px-6 py-3 bg-blue-500 hover:bg-blue-600 rounded-lg font-semibold transition-colors"
+                >
+                    Import GPX
+                </button>
+
+                {history.length > 0 && (
+                    <div className="mb-4 space-y-3">
+                        <div className="flex gap-2">
+                            <input
+                                type="search"
+                                value={filters.query}
+                                onChange={(e) => updateFilters({ query: e.target.value })}
+                                placeholder="Search notes and tags…"
+                                className={inputClass}
+                            />
+                            <button
+                                onClick={() => setShowFilters(!showFilters)}
+                                className="px-3 py-2 text-sm bg-gray-700 hover:bg-gray-600 rounded-lg whitespace-nowrap"
+                            >
+                                {showFilters ? 'Hide filters' : 'Filters'}
+                            </button>
+                        </div>
+
+                        {showFilters && (
+                            <div className="bg-gray-900 bg-opacity-50 rounded-lg p-3 space-y-3 text-sm">
+                                <div className="grid grid-cols-2 gap-2">
+                                    <label>
+                                        <span className="block text-xs opacity-75 mb-1">From date</span>
+                                        <input type="date" value={filters.fromDate} onChange={(e) => updateFilters({ fromDate: e.target.value })} className={inputClass} />
+                                    </label>
+                                    <label>
+                                        <span className="block text-xs opacity-75 mb-1">To date</span>
+                                        <input type="date" value={filters.toDate} onChange={(e) => updateFilters({ toDate: e.target.value })} className={inputClass} />
+                                    </label>
+                                    <label>
+                                        <span className="block text-xs opacity-75 mb-1">Min distance ({currentUnits().distance})</span>
+                                        <input type="number" min="0" step="0.1" value={filters.minDistance} onChange={(e) => updateFilters({ minDistance: e.target.value })} className={inputClass} />
+                                    </label>
+                                    <label>
+                                        <span className="block text-xs opacity-75 mb-1">Max distance ({currentUnits().distance})</span>
+                                        <input type="number" min="0" step="0.1" value={filters.maxDistance} onChange={(e) => updateFilters({ maxDistance: e.target.value })} className={inputClass} />
+                                    </label>
+                                    <label>
+                                        <span className="block text-xs opacity-75 mb-1">Fastest pace (m:ss/{currentUnits().distance})</span>
+                                        <input type="text" value={filters.minPace} onChange={(e) => updateFilters({ minPace: e.target.value })} placeholder="4:30" className={inputClass} />
+                                    </label>
+                                    <label>
+                                        <span className="block text-xs opacity-75 mb-1">Slowest pace (m:ss/{currentUnits().distance})</span>
+                                        <input type="text" value={filters.maxPace} onChange={(e) => updateFilters({ maxPace: e.target.value })} placeholder="6:00" className={inputClass} />
+                                    </label>
+                                </div>
+
+                                {allTags.length > 0 && (
+                                    <div>
+                                        <span className="block text-xs opacity-75 mb-1">Tags</span>
+                                        <div className="flex flex-wrap gap-2">
+                                            {allTags.map((tag) => (
+                                                <button
+                                                    key={tag}
+                                                    onClick={() => toggleTagFilter(tag)}
+                                                    className={`px-2 py-1 rounded-full ${filters.tags.includes(tag) ? 'bg-blue-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+                                                >
+                                                    {tag}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </div>
+                                )}
+
+                                <button
+                                    onClick={() => updateFilters(createDefaultHistoryFilters())}
+                                    className="text-blue-400 hover:text-blue-300"
+                                >
+                                    Clear filters
+                                </button>
+                            </div>
+                        )}
+
+                        <div className="flex items-center justify-between text-sm">
+                            <span className="text-gray-400">
+                                {matchingRuns.length === history.length
+                                    ? `${history.length} runs`
+                                    : `${matchingRuns.length} of ${history.length} runs`}
+                            </span>
+                            <div className="flex items-center gap-2">
+                                <select
+                                    value={filters.sortBy}
+                                    onChange={(e) => updateFilters({ sortBy: e.target.value })}
+                                    className="px-2 py-1 bg-gray-700 text-white rounded focus:outline-none"
+                                >
+                                    <option value="date">Date</option>
+                                    <option value="distance">Distance</option>
+                                    <option value="pace">Pace</option>
+                                </select>
+                                <button
+                                    onClick={() => updateFilters({ descending: !filters.descending })}
+                                    className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded"
+                                    aria-label={filters.descending ? 'Sort descending' : 'Sort ascending'}
+                                >
+                                    {filters.descending ? '↓' : '↑'}
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                )}
+
+                {history.length === 0 ? (
+                    <p className="text-center text-gray-400 py-12">No runs saved yet. Complete a run to see it here!</p>
+                ) : matchingRuns.length === 0 ? (
+                    <p className="text-center text-gray-400 py-12">No runs match these filters.</p>
+                ) : (
+                    <div className="space-y-4">
+                        {visibleRuns.map((run) => (
+                            <div key={run.id} className="bg-gray-700 rounded-lg p-4">
+                                <div className="flex justify-between items-start mb-2">
+                                    <div>
+                                        {run.title && <div className="font-semibold">{run.title}</div>}
+                                        <div className="text-sm text-gray-400">{formatDate(run.date)}</div>
+                                        {!isOwnRun(run) && <div className="text-sm text-blue-300">🏃 {run.owner}</div>}
+                                        {run.replay && <div className="text-sm text-yellow-300">🛠 Replay - not counted in records</div>}
+                                        <div className="text-2xl font-bold mt-1">{formatDistanceWithUnit(parseFloat(run.distance) * 1000)}</div>
+                                        {run.tags && run.tags.length > 0 && (
+                                            <div className="flex flex-wrap gap-1 mt-1">
+                                                {run.tags.map(tag => (
+                                                    <span key={tag} className="px-2 py-0.5 text-xs bg-blue-900 bg-opacity-60 rounded-full">{tag}</span>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </div>
+                                    <div className="flex gap-1">
+                                        {run.trackPoints > 0 && (
+                                            <button
+                                                onClick={() => handleExport(run.id, exportRunGpx)}
+                                                className="text-blue-400 hover:text-blue-300 text-sm px-3 py-1 rounded hover:bg-blue-900 hover:bg-opacity-30 transition-colors"
+                                            >
+                                                Export GPX
+                                            </button>
+                                        )}
+                                        {run.trackPoints > 0 && (
+                                            <button
+                                                onClick={() => handleExport(run.id, exportRunTcx)}
+                                                className="text-blue-400 hover:text-blue-300 text-sm px-3 py-1 rounded hover:bg-blue-900 hover:bg-opacity-30 transition-colors"
+                                            >
+                                                Export TCX
+                                            </button>
+                                        )}
+                                        <button
+                                            onClick={() => handleDelete(run)}
+                                            className="text-red-400 hover:text-red-300 text-sm px-3 py-1 rounded hover:bg-red-900 hover:bg-opacity-30 transition-colors"
+                                        >
+                                            Delete
+                                        </button>
+                                    </div>
+                                </div>
+
+                                <div className="grid grid-cols-2 gap-4 text-sm mb-3">
+                                    <div>
+                                        <span className="text-gray-400">Time: </span>
+                                        <span className="font-semibold">{formatTime(run.time)}</span>
+                                    </div>
+                                    <div>
+                                        <span className="text-gray-400">Pace: </span>
+                                        <span className="font-semibold">{formatPaceWithUnit(run.avgPace)}</span>
+                                    </div>
+                                    {hasValue(run.gradeAdjustedPace) && (
+                                        <>
+                                            <div>
+                                                <span className="text-gray-400">Elevation: </span>
+                                                <span className="font-semibold">↑ {formatElevation(run.ascent)} ↓ {formatElevation(run.descent)}</span>
+                                            </div>
+                                            <div>
+                                                <span className="text-gray-400">GAP: </span>
+                                                <span className="font-semibold">{formatPaceWithUnit(run.gradeAdjustedPace)}</span>
+                                            </div>
+                                        </>
+                                    )}
+                                </div>
+
+                                <div className="mt-3 pt-3 border-t border-gray-600">
+                                    <button
+                                        onClick={() => setExpandedId(expandedId === run.id ? null : run.id)}
+                                        className="text-sm text-blue-400 hover:text-blue-300 mb-2"
+                                    >
+                                        {expandedId === run.id ? '▼ Hide details' : '▶ Show details'}
+                                    </button>
+                                    {expandedId === run.id && expandedRun && editMode === 'details' && (
+                                        <RunEditor
+                                            run={expandedRun}
+                                            onSave={(changes) => handleSaveEdits(run.id, changes)}
+                                            onCancel={() => setEditMode(null)}
+                                        />
+                                    )}
+                                    {expandedId === run.id && expandedRun && editMode === 'trim' && (
+                                        <TrimTool
+                                            run={expandedRun}
+                                            onSave={handleTrim}
+                                            onCancel={() => setEditMode(null)}
+                                        />
+                                    )}
+                                    {expandedId === run.id && editMode === null && (
+                                        <div className="space-y-3">
+                                            {expandedRun ? (
+                                                <>
+                                                    <div className="flex gap-2">
+                                                        <button
+                                                            onClick={() => setEditMode('details')}
+                                                            className="flex-1 px-3 py-2 text-sm bg-gray-600 hover:bg-gray-500 rounded-lg"
+                                                        >
+                                                            Edit details
+                                                        </button>
+                                                        {expandedRun.track && expandedRun.track.points.length > 1 && (
+                                                            <button
+                                                                onClick={() => setEditMode('trim')}
+                                                                className="flex-1 px-3 py-2 text-sm bg-gray-600 hover:bg-gray-500 rounded-lg"
+                                                            >
+                                                                Trim track
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                    <RouteMap track={expandedRun.track} rawTrack={expandedRun.rawTrack} />
+                                                    <ElevationProfile track={expandedRun.track} />
+                                                    <WorkoutResults workout={expandedRun.workout} />
+                                                    <SplitTable
+                                                        splits={splitsForDisplay(expandedRun)}
+                                                        goalPace={expandedRun.goalPace}
+                                                    />
+                                                    {expandedRun.tracking && (
+                                                        <p className="text-xs text-gray-400">
+                                                            Recorded with: {describeTrackingSettings(expandedRun.tracking)}
+                                                        </p>
+                                                    )}
+                                                </>
+                                            ) : (
+                                                <p className="text-sm text-gray-400 text-center py-4">Loading route…</p>
+                                            )}
+                                            {run.notes && (
+                                                <p className="text-sm text-gray-300 bg-gray-800 p-3 rounded">
+                                                    {run.notes}
+                                                </p>
+                                            )}
+                                            <div>
+                                                <div className="text-xs text-gray-400 mb-1">Tags</div>
+                                                <TagEditor
+                                                    tags={run.tags || []}
+                                                    suggestions={allTags}
+                                                    onChange={(tags) => handleTagsChange(run.id, tags)}
+                                                />
+                                            </div>
+                                        </div>
+                                    )}
+                                </div>
+                            </div>
+                        ))}
+
+                        {visibleCount < matchingRuns.length && (
+                            <button
+                                onClick={() => setVisibleCount(visibleCount + RUN_HISTORY_PAGE_SIZE)}
+                                className="w-full px-6 py-3 bg-gray-700 hover:bg-gray-600 rounded-lg transition-colors"
+                            >
+                                Show {Math.min(RUN_HISTORY_PAGE_SIZE, matchingRuns.length - visibleCount)} more
+                            </button>
+                        )}
+                    </div>
+                )}
+
+                <button
+                    onClick={onClose}
+                    className="w-full mt-6 px-6 py-3 bg-gray-600 hover:bg-gray-500 rounded-lg font-semibold transition-colors"
+                >
+                    Close
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Bar Chart Component
+ * Plain SVG bar chart, one bar per period, with the latest period
+ * highlighted and an optional dashed average line
  */
-function StatusBar({ runState, gpsStatus, keepAwake, setKeepAwake, wakeLockSupported }) {
-    const stateLabels = {
-        idle: 'Ready',
-        setup: 'Setup',
-        running: 'Running',
-        paused: 'Paused',
-        finished: 'Finished'
-    };
+function BarChart({ values, labels, formatValue, average = null, color = '#60a5fa' }) {
+    const width = 300;
+    const height = 120;
+    const labelHeight = 14;
+    const chartHeight = height - labelHeight;
+    const max = Math.max(...values, average || 0);
+    const slot = width / values.length;
+    const showLabel = (i) => (values.length - 1 - i) % 2 === 0; // Every other label, ending at the latest
+    const toY = (value) => chartHeight - (max > 0 ? (value / max) * (chartHeight - 4) : 0);
 
     return (
-        <div className="bg-black bg-opacity-30 p-4 space-y-2">
-            <div className="flex justify-between items-center">
-                <span className="text-sm font-semibold">{stateLabels[runState]}</span>
-                <span className="text-xs">GPS: {gpsStatus}</span>
-            </div>
-            
-            {wakeLockSupported ? (
-                <label className="flex items-center justify-between cursor-pointer">
-                    <span className="text-xs">Keep screen awake</span>
-                    <input
-                        type="checkbox"
-                        checked={keepAwake}
-                        onChange={(e) => setKeepAwake(e.target.checked)}
-                        className="w-5 h-5"
-                    />
-                </label>
-            ) : (
-                <div className="text-xs opacity-50">Wake lock not supported</div>
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full bg-gray-900 rounded">
+            {values.map((value, i) => (
+                <rect
+                    key={i}
+                    x={i * slot + slot * 0.15}
+                    y={toY(value)}
+                    width={slot * 0.7}
+                    height={chartHeight - toY(value)}
+                    fill={color}
+                    fillOpacity={i === values.length - 1 ? 1 : 0.5}
+                >
+                    <title>{`${labels[i]}: ${formatValue(value)}`}</title>
+                </rect>
+            ))}
+            {average !== null && average > 0 && (
+                <line x1="0" x2={width} y1={toY(average)} y2={toY(average)} stroke="white" strokeOpacity="0.7" strokeDasharray="4 3" />
             )}
-        </div>
+            {labels.map((label, i) => showLabel(i) && (
+                <text key={i} x={i * slot + slot / 2} y={height - 2} fontSize="9" fill="#9ca3af" textAnchor="middle">{label}</text>
+            ))}
+        </svg>
     );
 }
 
 /**
- * Run Setup Component
- * Set goal pace and target distance before starting run
+ * Line Chart Component
+ * Plain SVG line chart for values that may be missing (null); gaps break the line
  */
-function RunSetup({ onStart, onCancel }) {
-    const [goalMinutes, setGoalMinutes] = useState(5);
-    const [goalSeconds, setGoalSeconds] = useState(0);
-    const [targetDistance, setTargetDistance] = useState(5.0);
+function LineChart({ values, labels, formatValue, invert = false, color = '#facc15' }) {
+    const width = 300;
+    const height = 120;
+    const labelHeight = 14;
+    const chartHeight = height - labelHeight;
+    const present = values.filter(value => value !== null);
+    const slot = width / values.length;
+    const showLabel = (i) => (values.length - 1 - i) % 2 === 0; // Every other label, ending at the latest
 
-    const handleStart = () => {
-        const goalPaceSeconds = goalMinutes * 60 + goalSeconds;
-        onStart(goalPaceSeconds, targetDistance);
+    if (present.length === 0) {
+        return <p className="text-sm text-gray-400 text-center py-4">No runs in this range</p>;
+    }
+
+    const min = Math.min(...present);
+    const max = Math.max(...present);
+    const range = max - min || 1;
+    // With invert, lower values (faster paces) are drawn higher
+    const toY = (value) => {
+        const fraction = (value - min) / range;
+        return 6 + (invert ? fraction : 1 - fraction) * (chartHeight - 12);
     };
 
+    const segments = [];
+    let segment = [];
+    values.forEach((value, i) => {
+        if (value === null) {
+            if (segment.length > 0) segments.push(segment);
+            segment = [];
+        } else {
+            segment.push(`${(i * slot + slot / 2).toFixed(1)},${toY(value).toFixed(1)}`);
+        }
+    });
+    if (segment.length > 0) segments.push(segment);
+
     return (
-        <div className="bg-gray-800 rounded-2xl p-8 max-w-md w-full shadow-2xl">
-            <h2 className="text-3xl font-bold text-center mb-8">Run Setup</h2>
-            
-            <div className="space-y-6">
-                {/* Goal Pace */}
-                <div>
-                    <label className="block text-sm opacity-75 mb-3">Goal Pace (per km)</label>
-                    <div className="flex items-center justify-center gap-4">
-                        <div className="flex flex-col items-center">
-                            <input
-                                type="number"
-                                value={goalMinutes}
-                                onChange={(e) => setGoalMinutes(Math.max(0, parseInt(e.target.value) || 0))}
-                                className="w-20 h-20 text-4xl font-bold text-center bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
-                                min="0"
-                                max="59"
-                            />
-                            <span className="text-xs mt-2 opacity-75">min</span>
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full bg-gray-900 rounded">
+            {segments.map((points, i) => (
+                <polyline key={i} points={points.join(' ')} fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" />
+            ))}
+            {values.map((value, i) => value !== null && (
+                <circle key={i} cx={i * slot + slot / 2} cy={toY(value)} r="3" fill={color}>
+                    <title>{`${labels[i]}: ${formatValue(value)}`}</title>
+                </circle>
+            ))}
+            {labels.map((label, i) => showLabel(i) && (
+                <text key={i} x={i * slot + slot / 2} y={height - 2} fontSize="9" fill="#9ca3af" textAnchor="middle">{label}</text>
+            ))}
+        </svg>
+    );
+}
+
+/**
+ * Statistics View Component
+ * Weekly or monthly training totals from your own runs, with the current
+ * period compared against the average of the periods before it
+ */
+function StatisticsView({ onClose }) {
+    const [runs, setRuns] = useState(null);
+    const [period, setPeriod] = useState('week');
+
+    useEffect(() => {
+        loadRunHistory().then(history => setRuns(history.filter(isTrainingRun)));
+    }, []);
+
+    const buckets = aggregateRuns(runs || [], period, STATS_PERIOD_COUNT);
+    const labels = buckets.map(bucket => formatPeriodLabel(bucket.start, period));
+    const current = buckets[buckets.length - 1];
+    const comparison = buckets.slice(-1 - STATS_COMPARISON_PERIODS[period], -1);
+    const averageDistance = comparison.reduce((sum, bucket) => sum + bucket.distanceKm, 0) / comparison.length;
+    const difference = averageDistance > 0 ? (current.distanceKm - averageDistance) / averageDistance * 100 : null;
+    const periodName = period === 'month' ? 'month' : 'week';
+
+    const formatKm = (value) => formatDistanceWithUnit(value * 1000, 1);
+    const charts = [
+        { title: 'Distance', values: buckets.map(b => b.distanceKm), format: formatKm, average: averageDistance },
+        { title: 'Moving Time', values: buckets.map(b => b.time), format: formatTime, color: '#34d399' },
+        { title: 'Runs', values: buckets.map(b => b.count), format: (value) => `${value} runs`, color: '#a78bfa' },
+        { title: 'Longest Run', values: buckets.map(b => b.longestKm), format: formatKm, color: '#f472b6' }
+    ];
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center p-4 z-50 overflow-y-auto">
+            <div className="bg-gray-800 rounded-2xl p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-center mb-6">
+                    <h2 className="text-3xl font-bold">Statistics</h2>
+                    <button
+                        onClick={onClose}
+                        className="text-4xl leading-none hover:text-gray-400 transition-colors"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="flex gap-2 mb-6">
+                    {['week', 'month'].map((value) => (
+                        <button
+                            key={value}
+                            onClick={() => setPeriod(value)}
+                            className={`flex-1 px-4 py-2 rounded-lg ${period === value ? 'bg-green-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+                        >
+                            {value === 'week' ? 'Weekly' : 'Monthly'}
+                        </button>
+                    ))}
+                </div>
+
+                {runs === null ? (
+                    <p className="text-center text-gray-400 py-8">Loading…</p>
+                ) : (
+                    <div className="space-y-6">
+                        <div className="bg-gray-700 rounded-lg p-4 text-center">
+                            <div className="text-sm opacity-75">This {periodName}</div>
+                            <div className="text-3xl font-bold">{formatKm(current.distanceKm)}</div>
+                            <div className="text-sm opacity-75">
+                                {current.count} {current.count === 1 ? 'run' : 'runs'} · {formatTime(current.time)}
+                            </div>
+                            <div className="text-sm mt-2">
+                                {difference === null
+                                    ? `No runs in the previous ${comparison.length} ${periodName}s to compare with`
+                                    : `${Math.abs(difference).toFixed(0)}% ${difference >= 0 ? 'above' : 'below'} the ${formatKm(averageDistance)} average of the previous ${comparison.length} ${periodName}s`}
+                            </div>
                         </div>
-                        <span className="text-4xl font-bold">:</span>
-                        <div className="flex flex-col items-center">
-                            <input
-                                type="number"
-                                value={goalSeconds}
-                                onChange={(e) => setGoalSeconds(Math.max(0, Math.min(59, parseInt(e.target.value) || 0)))}
-                                className="w-20 h-20 text-4xl font-bold text-center bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
-                                min="0"
-                                max="59"
+
+                        {charts.map((chart) => (
+                            <div key={chart.title}>
+                                <div className="flex justify-between text-sm mb-1">
+                                    <span className="opacity-75">{chart.title} per {periodName}</span>
+                                    {chart.average !== undefined && <span className="text-xs opacity-75">- - - previous {comparison.length} {periodName}s' average</span>}
+                                </div>
+                                <BarChart
+                                    values={chart.values}
+                                    labels={labels}
+                                    formatValue={chart.format}
+                                    average={chart.average !== undefined ? chart.average : null}
+                                    color={chart.color}
+                                />
+                            </div>
+                        ))}
+
+                        <div>
+                            <div className="text-sm opacity-75 mb-1">Average pace per {periodName} (higher is faster)</div>
+                            <LineChart
+                                values={buckets.map(b => b.avgPace)}
+                                labels={labels}
+                                formatValue={formatPaceWithUnit}
+                                invert
                             />
-                            <span className="text-xs mt-2 opacity-75">sec</span>
                         </div>
+
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-gray-400 text-left">
+                                    <th className="py-1 font-normal capitalize">{periodName}</th>
+                                    <th className="py-1 font-normal text-right">Runs</th>
+                                    <th className="py-1 font-normal text-right">Distance</th>
+                                    <th className="py-1 font-normal text-right">Time</th>
+                                    <th className="py-1 font-normal text-right">Pace</th>
+                                    <th className="py-1 font-normal text-right">Longest</th>
+                                </tr>
+                            </thead>
+                            <tbody className="tabular-nums">
+                                {buckets.slice().reverse().map((bucket, i) => (
+                                    <tr key={bucket.start.toISOString()} className={i === 0 ? 'font-semibold' : ''}>
+                                        <td className="py-1">{formatPeriodLabel(bucket.start, period)}</td>
+                                        <td className="py-1 text-right">{bucket.count}</td>
+                                        <td className="py-1 text-right">{formatDistance(bucket.distanceKm * 1000, 1)}</td>
+                                        <td className="py-1 text-right">{formatTime(bucket.time)}</td>
+                                        <td className="py-1 text-right">{bucket.avgPace !== null ? formatPace(bucket.avgPace) : '–'}</td>
+                                        <td className="py-1 text-right">{bucket.longestKm > 0 ? formatDistance(bucket.longestKm * 1000, 1) : '–'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
                     </div>
-                </div>
+                )}
+            </div>
+        </div>
+    );
+}
 
-                {/* Target Distance */}
-                <div>
-                    <label className="block text-sm opacity-75 mb-3">Target Distance (km)</label>
+/**
+ * Tag Editor Component
+ * Shows a run's tags as removable chips, with an input to add more.
+ * Existing tags from other runs are offered as suggestions.
+ */
+function TagEditor({ tags, suggestions = [], onChange, disabled = false }) {
+    const [text, setText] = useState('');
+    const listId = useRef(`tag-suggestions-${Math.random().toString(36).slice(2)}`).current;
+
+    const addTag = () => {
+        const tag = normalizeTag(text);
+        if (tag && !tags.includes(tag)) {
+            onChange([...tags, tag]);
+        }
+        setText('');
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addTag();
+        }
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            {tags.map((tag) => (
+                <span key={tag} className="flex items-center gap-1 px-2 py-1 text-sm bg-blue-900 bg-opacity-60 rounded-full">
+                    {tag}
+                    {!disabled && (
+                        <button
+                            onClick={() => onChange(tags.filter(t => t !== tag))}
+                            className="leading-none opacity-75 hover:opacity-100"
+                            aria-label={`Remove tag ${tag}`}
+                        >
+                            ×
+                        </button>
+                    )}
+                </span>
+            ))}
+            {!disabled && (
+                <>
                     <input
-                        type="number"
-                        value={targetDistance}
-                        onChange={(e) => setTargetDistance(Math.max(0.1, parseFloat(e.target.value) || 0.1))}
-                        step="0.1"
-                        className="w-full h-16 text-3xl font-bold text-center bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
-                        min="0.1"
+                        type="text"
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                        onKeyDown={handleKeyDown}
+                        onBlur={addTag}
+                        list={listId}
+                        placeholder="Add tag…"
+                        className="flex-1 min-w-[6rem] px-2 py-1 text-sm bg-gray-700 text-white rounded focus:outline-none focus:ring-2 focus:ring-green-500"
                     />
+                    <datalist id={listId}>
+                        {suggestions.filter(tag => !tags.includes(tag)).map(tag => <option key={tag} value={tag} />)}
+                    </datalist>
+                </>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Records View Component
+ * Lists personal records: best efforts over standard distances, the longest
+ * run and the fastest average pace
+ */
+function RecordsView({ onClose }) {
+    const [records, setRecords] = useState(null);
+
+    useEffect(() => {
+        loadRecords().then(setRecords);
+    }, []);
+
+    const recordsById = {};
+    (records || []).forEach((record) => {
+        recordsById[record.id] = record;
+    });
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center p-4 z-50 overflow-y-auto">
+            <div className="bg-gray-800 rounded-2xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-center mb-6">
+                    <h2 className="text-3xl font-bold">Personal Records</h2>
+                    <button
+                        onClick={onClose}
+                        className="text-4xl leading-none hover:text-gray-400 transition-colors"
+                    >
+                        ×
+                    </button>
                 </div>
+
+                {records === null ? (
+                    <p className="text-center text-gray-400 py-8">Loading…</p>
+                ) : records.length === 0 ? (
+                    <p className="text-center text-gray-400 py-8">No records yet. Save a run to set your first!</p>
+                ) : (
+                    <table className="w-full">
+                        <tbody>
+                            {RECORD_DEFINITIONS.map((definition) => {
+                                const record = recordsById[definition.id];
+                                return (
+                                    <tr key={definition.id} className="border-b border-gray-700">
+                                        <td className="py-3 text-gray-300">{definition.label}</td>
+                                        <td className="py-3 text-right">
+                                            {record ? (
+                                                <>
+                                                    <div className="text-xl font-bold tabular-nums">{formatRecordValue(definition.id, record.value)}</div>
+                                                    <div className="text-xs text-gray-400">{formatDate(record.date)}</div>
+                                                </>
+                                            ) : (
+                                                <span className="text-gray-500">–</span>
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
             </div>
+        </div>
+    );
+}
 
-            <div className="mt-8 space-y-3">
-                <button
-                    onClick={handleStart}
-                    className="w-full px-8 py-4 text-xl font-bold bg-green-500 hover:bg-green-600 rounded-lg shadow-lg active:scale-95 transition-transform"
-                >
-                    Start Run
-                </button>
-                <button
-                    onClick={onCancel}
-                    className="w-full px-6 py-3 text-lg bg-gray-600 hover:bg-gray-500 rounded-lg active:scale-95 transition-transform"
-                >
-                    Cancel
-                </button>
+/**
+ * Predictions View Component
+ * Predicted 5k to marathon times from your recent best efforts, with how far
+ * to trust them and a chart of how each prediction has moved week by week.
+ */
+function PredictionsView({ onClose }) {
+    const [runs, setRuns] = useState(null);
+    const [chartTarget, setChartTarget] = useState('10k');
+
+    useEffect(() => {
+        loadRunHistory().then(history => setRuns(history.filter(isTrainingRun)));
+    }, []);
+
+    const predictions = predictRaceTimes(runs || []);
+    const history = predictionHistory(runs || [], STATS_PERIOD_COUNT);
+    const labels = history.map(week => formatPeriodLabel(week.start, 'week'));
+    const definitions = PREDICTION_TARGETS.map(id => RECORD_DEFINITIONS.find(record => record.id === id));
+    const badgeClass = { High: 'bg-green-600', Medium: 'bg-yellow-600', Low: 'bg-gray-600' };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center p-4 z-50 overflow-y-auto">
+            <div className="bg-gray-800 rounded-2xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-center mb-6">
+                    <h2 className="text-3xl font-bold">Race Predictions</h2>
+                    <button
+                        onClick={onClose}
+                        className="text-4xl leading-none hover:text-gray-400 transition-colors"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                {runs === null ? (
+                    <p className="text-center text-gray-400 py-8">Loading…</p>
+                ) : Object.keys(predictions).length === 0 ? (
+                    <p className="text-center text-gray-400 py-8">
+                        No runs of 1 km or more in the last {PREDICTION_WINDOW_DAYS} days. Save a run to get predictions!
+                    </p>
+                ) : (
+                    <div className="space-y-6">
+                        <table className="w-full">
+                            <tbody>
+                                {definitions.map((definition) => {
+                                    const prediction = predictions[definition.id];
+                                    const label = prediction ? confidenceLabel(prediction.confidence) : null;
+                                    const sourceName = prediction ? RECORD_DEFINITIONS.find(record => record.id === prediction.source.id).label : null;
+                                    return (
+                                        <tr key={definition.id} className="border-b border-gray-700">
+                                            <td className="py-3 text-gray-300">{definition.label}</td>
+                                            <td className="py-3 text-right">
+                                                {prediction ? (
+                                                    <>
+                                                        <div className="text-xl font-bold tabular-nums">
+                                                            {formatTime(prediction.time)}
+                                                            <span className={`ml-2 text-xs font-normal px-2 py-0.5 rounded ${badgeClass[label]}`}>{label}</span>
+                                                        </div>
+                                                        <div className="text-xs text-gray-400">
+                                                            {formatPaceWithUnit(prediction.pace)} · from your {sourceName} on {formatDate(prediction.source.date)}
+                                                        </div>
+                                                    </>
+                                                ) : (
+                                                    <span className="text-gray-500">–</span>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+
+                        <div>
+                            <div className="flex gap-2 mb-3">
+                                {definitions.map((definition) => (
+                                    <button
+                                        key={definition.id}
+                                        onClick={() => setChartTarget(definition.id)}
+                                        className={`flex-1 px-2 py-2 text-sm rounded-lg ${chartTarget === definition.id ? 'bg-green-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+                                    >
+                                        {definition.label}
+                                    </button>
+                                ))}
+                            </div>
+                            <div className="text-sm opacity-75 mb-1">Predicted time at the end of each week (higher is faster)</div>
+                            <LineChart
+                                values={history.map(week => week.predictions[chartTarget] ? week.predictions[chartTarget].time : null)}
+                                labels={labels}
+                                formatValue={formatTime}
+                                invert
+                            />
+                        </div>
+
+                        <p className="text-xs text-gray-400">
+                            Predictions use Riegel's formula on your fastest efforts from the last {PREDICTION_WINDOW_DAYS} days.
+                            Confidence is higher for recent efforts close to the race distance, and assumes race-day effort.
+                        </p>
+                    </div>
+                )}
             </div>
         </div>
     );
 }
 
 /**
- * Metric Display Component
- * Shows current pace, distance, time, and progress during run
+ * Settings View Component
+ * Units and locale used for display, input and voice announcements, the
+ * voice coaching setup, and GPS filtering and tracking parameters.
+ * Changes apply immediately; runs are always stored in metres and seconds.
  */
-function MetricDisplay({ currentPace, distance, time, runState, targetDistance, goalPace }) {
-    const distanceNum = parseFloat(distance);
-    const progress = targetDistance > 0 ? Math.min((distanceNum / targetDistance) * 100, 100) : 0;
-    
+function SettingsView({ settings, syncStatus, onChange, onClose }) {
+    // Bumped when settings are restored from a backup, to reload the forms that edit a draft
+    const [restoreCount, setRestoreCount] = useState(0);
+    const update = (changes) => onChange({ ...settings, ...changes });
+    const inputClass = "w-full px-3 py-2 bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500";
+    const sample = new Date();
+
     return (
-        <div className="text-center space-y-6 mb-8 w-full max-w-md px-4">
-            {/* Progress Bar */}
-            {targetDistance > 0 && (
-                <div className="w-full">
-                    <div className="flex justify-between text-xs mb-2 opacity-75">
-                        <span>{distance} km</span>
-                        <span>{targetDistance.toFixed(1)} km</span>
+        <div className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center p-4 z-50 overflow-y-auto">
+            <div className="bg-gray-800 rounded-2xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-center mb-6">
+                    <h2 className="text-3xl font-bold">Settings</h2>
+                    <button
+                        onClick={onClose}
+                        className="text-4xl leading-none hover:text-gray-400 transition-colors"
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="space-y-6">
+                    <div>
+                        <label className="block text-sm opacity-75 mb-2">Units</label>
+                        <div className="grid grid-cols-2 gap-2">
+                            {[['metric', 'Metric (km)'], ['imperial', 'Imperial (mi)']].map(([value, label]) => (
+                                <button
+                                    key={value}
+                                    onClick={() => update({ units: value })}
+                                    className={`px-4 py-3 rounded-lg ${settings.units === value ? 'bg-green-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                        <div className="text-xs opacity-75 mt-2">
+                            Paces, distances, splits and voice announcements
+                        </div>
                     </div>
-                    <div className="w-full bg-gray-700 rounded-full h-4 overflow-hidden">
-                        <div 
-                            className="bg-green-500 h-full transition-all duration-500 rounded-full"
-                            style={{ width: `${progress}%` }}
-                        />
+
+                    <div>
+                        <label className="block text-sm opacity-75 mb-2">Date and number format</label>
+                        <select
+                            value={settings.locale}
+                            onChange={(e) => update({ locale: e.target.value })}
+                            className={inputClass}
+                        >
+                            {LOCALE_OPTIONS.map((option) => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                        <div className="text-xs opacity-75 mt-2">
+                            {formatDate(sample.toISOString())} · {formatDistanceWithUnit(12345.6)}
+                        </div>
                     </div>
-                    <div className="text-sm mt-1 opacity-75">{progress.toFixed(0)}% Complete</div>
+
+                    <CoachingSettings
+                        coaching={settings.coaching}
+                        onChange={(coaching) => update({ coaching: coaching })}
+                    />
+
+                    <TrackingSettings
+                        key={restoreCount}
+                        tracking={settings.tracking}
+                        onSave={(tracking) => update({ tracking: tracking })}
+                    />
+
+                    <SyncSettings
+                        key={`sync-${restoreCount}`}
+                        sync={settings.sync}
+                        status={syncStatus}
+                        onSave={(sync) => update({ sync: sync })}
+                    />
+
+                    <BackupSettings
+                        settings={settings}
+                        onRestoreSettings={(restored) => {
+                            onChange(restored);
+                            setRestoreCount(restoreCount + 1);
+                        }}
+                    />
                 </div>
-            )}
+            </div>
+        </div>
+    );
+}
 
-            {/* Current Pace - Largest */}
+/**
+ * Tracking Settings Component
+ * GPS filtering and tracking parameters. Edits are checked with
+ * validateTrackingSettings and only take effect when saved, from the next run.
+ */
+function TrackingSettings({ tracking, onSave }) {
+    const toDraft = (values) => {
+        const draft = { enableHighAccuracy: values.enableHighAccuracy };
+        TRACKING_SETTING_FIELDS.forEach((field) => {
+            draft[field.id] = String(values[field.id]);
+        });
+        return draft;
+    };
+    const [draft, setDraft] = useState(toDraft(tracking));
+    const [saved, setSaved] = useState(false);
+
+    const parsed = { ...draft };
+    TRACKING_SETTING_FIELDS.forEach((field) => {
+        parsed[field.id] = draft[field.id].trim() === '' ? NaN : Number(draft[field.id]);
+    });
+    const errors = validateTrackingSettings(parsed);
+    const valid = Object.keys(errors).length === 0;
+    const inputClass = "w-24 px-3 py-2 bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2";
+
+    const updateDraft = (changes) => {
+        setDraft({ ...draft, ...changes });
+        setSaved(false);
+    };
+
+    const handleSave = () => {
+        onSave(parsed);
+        setSaved(true);
+    };
+
+    const handleReset = () => {
+        if (!confirm('Reset all GPS and tracking settings to their defaults?')) return;
+        setDraft(toDraft(DEFAULT_SETTINGS.tracking));
+        onSave({ ...DEFAULT_SETTINGS.tracking });
+        setSaved(true);
+    };
+
+    return (
+        <div className="space-y-4 border-t border-gray-700 pt-6">
             <div>
-                <div className="text-xs uppercase tracking-wider opacity-75 mb-1">10s Avg Pace</div>
-                <div className="text-6xl sm:text-7xl font-bold tabular-nums metric-text">
-                    {currentPace !== null ? formatPace(currentPace) : '–:–'}
-                </div>
-                <div className="text-xl opacity-75 mt-1">/km</div>
+                <div className="text-xl font-bold">GPS & Tracking</div>
+                <div className="text-xs opacity-75">Used from the next run, and saved with each run</div>
             </div>
 
-            {/* Distance and Time */}
-            <div className="grid grid-cols-2 gap-6">
-                <div>
-                    <div className="text-xs uppercase tracking-wider opacity-75 mb-1">Distance</div>
-                    <div className="text-4xl font-bold tabular-nums metric-text">{distance}</div>
-                    <div className="text-sm opacity-75">km</div>
-                </div>
-                <div>
-                    <div className="text-xs uppercase tracking-wider opacity-75 mb-1">Time</div>
-                    <div className="text-4xl font-bold tabular-nums metric-text">{formatTime(time)}</div>
+            <label className="flex items-center justify-between cursor-pointer">
+                <span>
+                    <span className="block">High-accuracy GPS</span>
+                    <span className="block text-xs opacity-75">Turn off to save battery at the cost of accuracy</span>
+                </span>
+                <input
+                    type="checkbox"
+                    checked={draft.enableHighAccuracy}
+                    onChange={(e) => updateDraft({ enableHighAccuracy: e.target.checked })}
+                    className="w-6 h-6"
+                />
+            </label>
+
+            {TRACKING_SETTING_FIELDS.map((field) => (
+                <div key={field.id}>
+                    <label className="flex items-center justify-between gap-3">
+                        <span>
+                            <span className="block">{field.label}</span>
+                            <span className="block text-xs opacity-75">{field.help}</span>
+                        </span>
+                        <span className="flex items-center gap-1 shrink-0">
+                            <input
+                                type="number"
+                                min={field.min}
+                                max={field.max}
+                                step={field.step}
+                                value={draft[field.id]}
+                                onChange={(e) => updateDraft({ [field.id]: e.target.value })}
+                                className={`${inputClass} ${errors[field.id] ? 'ring-2 ring-red-500' : 'focus:ring-green-500'}`}
+                            />
+                            <span className="w-10 text-xs opacity-75">{field.unit}</span>
+                        </span>
+                    </label>
+                    {errors[field.id] && <div className="text-xs text-red-400 mt-1">{errors[field.id]}</div>}
                 </div>
-            </div>
+            ))}
 
-            {/* Goal indicator */}
-            <div className="text-sm opacity-75">
-                Goal: {formatPace(goalPace)}/km
+            <div className="flex gap-2">
+                <button
+                    onClick={handleSave}
+                    disabled={!valid}
+                    className="flex-1 px-4 py-2 bg-green-500 hover:bg-green-600 rounded-lg disabled:opacity-50"
+                >
+                    {saved ? 'Saved' : 'Save'}
+                </button>
+                <button
+                    onClick={handleReset}
+                    className="flex-1 px-4 py-2 bg-gray-600 hover:bg-gray-500 rounded-lg"
+                >
+                    Reset to defaults
+                </button>
             </div>
         </div>
     );
 }
 
 /**
- * Controls Component
- * Start, Pause, Resume, and Finish buttons
+ * Sync Settings Component
+ * Server, access token and runner name for syncing runs, edited as a draft
+ * and saved together, plus the state of the last sync.
  */
-function Controls({ runState, onStart, onPause, onResume, onFinish }) {
-    const buttonClass = "px-12 py-6 text-2xl font-bold rounded-lg shadow-lg active:scale-95 transition-transform";
-    
+function SyncSettings({ sync, status, onSave }) {
+    const [draft, setDraft] = useState(sync);
+    const [saved, setSaved] = useState(false);
+    const inputClass = "w-full px-3 py-2 bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500";
+    const formatClock = (ms) => new Date(ms).toLocaleTimeString(currentLocale(), { hour: '2-digit', minute: '2-digit' });
+
+    const errors = {};
+    if (draft.enabled && !/^https?:\/\/\S+$/.test(draft.url.trim())) {
+        errors.url = 'Enter the server address, starting with http:// or https://';
+    }
+    if (draft.enabled && draft.name.trim() === '') {
+        errors.name = 'Enter your name, so teammates can tell your runs apart';
+    }
+    const valid = Object.keys(errors).length === 0;
+
+    const updateDraft = (changes) => {
+        setDraft({ ...draft, ...changes });
+        setSaved(false);
+    };
+
+    const handleSave = async () => {
+        const name = draft.name.trim();
+        if (sync.name && name && name !== sync.name) {
+            try {
+                await renameRunOwner(sync.name, name);
+            } catch (error) {
+                console.error('Error renaming runs:', error);
+                alert(storageErrorMessage(error));
+                return;
+            }
+        }
+        onSave({ ...draft, url: draft.url.trim(), name: name, token: draft.token.trim() });
+        setSaved(true);
+    };
+
     return (
-        <div className="space-y-4 w-full max-w-sm">
-            {runState === 'idle' && (
-                <button
-                    onClick={onStart}
-                    className={`${buttonClass} bg-green-500 hover:bg-green-600 text-white w-full`}
-                >
-                    Start Run
-                </button>
-            )}
+        <div className="space-y-4 border-t border-gray-700 pt-6">
+            <label className="flex items-center justify-between cursor-pointer">
+                <span>
+                    <span className="block font-semibold">Sync with a Server</span>
+                    <span className="block text-xs opacity-75">Share runs between your devices and with your team</span>
+                </span>
+                <input
+                    type="checkbox"
+                    checked={draft.enabled}
+                    onChange={(e) => updateDraft({ enabled: e.target.checked })}
+                    className="w-6 h-6"
+                />
+            </label>
 
-            {runState === 'running' && (
+            {draft.enabled && (
                 <>
-                    <button
-                        onClick={onPause}
-                        className={`${buttonClass} bg-yellow-500 hover:bg-yellow-600 text-white w-full`}
-                    >
-                        Pause
-                    </button>
-                    <button
-                        onClick={onFinish}
-                        className={`${buttonClass} bg-red-500 hover:bg-red-600 text-white w-full`}
-                    >
-                        Finish
-                    </button>
+                    <label className="block">
+                        <span className="block text-sm opacity-75 mb-1">Server address</span>
+                        <input
+                            type="url"
+                            value={draft.url}
+                            onChange={(e) => updateDraft({ url: e.target.value })}
+                            placeholder="http://192.168.1.10:8787"
+                            className={inputClass}
+                        />
+                        {errors.url && <span className="block text-xs text-red-400 mt-1">{errors.url}</span>}
+                    </label>
+                    <label className="block">
+                        <span className="block text-sm opacity-75 mb-1">Your name</span>
+                        <input
+                            type="text"
+                            value={draft.name}
+                            onChange={(e) => updateDraft({ name: e.target.value })}
+                            className={inputClass}
+                        />
+                        {errors.name
+                            ? <span className="block text-xs text-red-400 mt-1">{errors.name}</span>
+                            : <span className="block text-xs opacity-75 mt-1">Use the same name on all your devices - only runs under it count towards your records. Renaming moves your runs to the new name; rename on your other devices too</span>}
+                    </label>
+                    <label className="block">
+                        <span className="block text-sm opacity-75 mb-1">Access token (if the server needs one)</span>
+                        <input
+                            type="password"
+                            value={draft.token}
+                            onChange={(e) => updateDraft({ token: e.target.value })}
+                            className={inputClass}
+                        />
+                    </label>
                 </>
             )}
 
-            {runState === 'paused' && (
-                <>
-                    <button
-                        onClick={onResume}
-                        className={`${buttonClass} bg-green-500 hover:bg-green-600 text-white w-full`}
-                    >
-                        Resume
-                    </button>
+            <button
+                onClick={handleSave}
+                disabled={!valid}
+                className="w-full px-4 py-2 bg-green-500 hover:bg-green-600 rounded-lg font-semibold disabled:opacity-50"
+            >
+                {saved ? 'Saved' : 'Save'}
+            </button>
+
+            {status && (
+                <div className="flex justify-between items-center text-sm">
+                    <span className={status.state === 'error' ? 'text-red-400' : 'opacity-75'}>
+                        {status.state === 'syncing'
+                            ? 'Syncing…'
+                            : status.state === 'error'
+                                ? `Sync failed: ${status.error}. Retrying at ${formatClock(status.retryAt)}`
+                                : `Synced at ${formatClock(status.lastSyncAt)} - sent ${status.pushed}, received ${status.pulled}`}
+                    </span>
                     <button
-                        onClick={onFinish}
-                        className={`${buttonClass} bg-red-500 hover:bg-red-600 text-white w-full`}
+                        onClick={requestSync}
+                        disabled={status.state === 'syncing'}
+                        className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded-lg whitespace-nowrap disabled:opacity-50"
                     >
-                        Finish
+                        Sync now
                     </button>
-                </>
+                </div>
             )}
         </div>
     );
 }
 
 /**
- * Summary View Component
- * Displays run summary after finish with ability to add notes and save
+ * Backup Settings Component
+ * Export every run and the settings to one file, and merge a backup back in.
+ * Runs are matched by id: new ones are added, identical copies skipped, and
+ * the user picks which copy to keep where the two differ.
  */
-function SummaryView({ totalTime, totalDistance, onNewRun, onSaveRun }) {
-    const [notes, setNotes] = useState('');
-    const [saved, setSaved] = useState(false);
-    const avgPace = (totalTime / parseFloat(totalDistance));
-    
-    const handleSave = () => {
-        onSaveRun(notes);
-        setSaved(true);
+function BackupSettings({ settings, onRestoreSettings }) {
+    const [compress, setCompress] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+    const [errorMessage, setErrorMessage] = useState(null);
+    const [pending, setPending] = useState(null); // { fileName, exportedAt, settings, plan } awaiting confirmation
+    const [useBackupIds, setUseBackupIds] = useState([]); // Conflicting runs to take from the backup
+    const [restoreSettings, setRestoreSettings] = useState(false);
+    const fileInputRef = useRef(null);
+    const compressionSupported = 'CompressionStream' in window;
+
+    const describeRun = (run) => `${formatDate(run.date)} · ${formatDistanceWithUnit(parseFloat(run.distance) * 1000)} in ${formatTime(run.time)}${run.title ? ` · ${run.title}` : ''}`;
+
+    const handleExport = async () => {
+        setBusy(true);
+        setMessage(null);
+        setErrorMessage(null);
+        try {
+            const count = await exportBackup(settings, compress);
+            setMessage(`Backed up ${count} ${count === 1 ? 'run' : 'runs'} and your settings`);
+        } catch (error) {
+            console.error('Error exporting backup:', error);
+            setErrorMessage(storageErrorMessage(error));
+        } finally {
+            setBusy(false);
+        }
     };
-    
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setMessage(null);
+        setErrorMessage(null);
+        try {
+            const backup = parseBackup(await readBackupFile(file));
+            const plan = planBackupMerge(await loadRunHistory(), backup.runs);
+            setPending({ fileName: file.name, exportedAt: backup.exportedAt, settings: backup.settings, plan: plan });
+            setUseBackupIds([]);
+            setRestoreSettings(false);
+        } catch (error) {
+            console.error('Error reading backup:', error);
+            setErrorMessage(`Could not read ${file.name}: ${error.message}`);
+        }
+    };
+
+    const toggleConflict = (runId, useBackup) => {
+        setUseBackupIds(useBackup ? [...useBackupIds, runId] : useBackupIds.filter(id => id !== runId));
+    };
+
+    const handleImport = async () => {
+        const { plan } = pending;
+        const replaced = plan.conflicts.filter(conflict => useBackupIds.includes(conflict.incoming.id)).map(conflict => conflict.incoming);
+        const runs = [...plan.added, ...replaced];
+
+        setBusy(true);
+        try {
+            if (runs.length > 0) {
+                await saveRuns(runs);
+            }
+            if (restoreSettings && pending.settings) {
+                onRestoreSettings(mergeSettings(pending.settings));
+            }
+            setMessage([
+                `Added ${plan.added.length} ${plan.added.length === 1 ? 'run' : 'runs'}`,
+                replaced.length > 0 ? `replaced ${replaced.length}` : null,
+                plan.conflicts.length > replaced.length ? `kept ${plan.conflicts.length - replaced.length} of yours` : null,
+                plan.duplicates.length > 0 ? `skipped ${plan.duplicates.length} already here` : null,
+                restoreSettings && pending.settings ? 'restored settings' : null
+            ].filter(Boolean).join(', '));
+            setPending(null);
+        } catch (error) {
+            console.error('Error importing backup:', error);
+            setErrorMessage(storageErrorMessage(error));
+        } finally {
+            setBusy(false);
+        }
+    };
+
     return (
-        <div className="bg-gray-800 rounded-2xl p-8 max-w-md w-full shadow-2xl">
-            <h2 className="text-3xl font-bold text-center mb-8">Run Summary</h2>
-            
-            <div className="space-y-6 mb-8">
-                <div className="flex justify-between items-center border-b border-gray-700 pb-4">
-                    <span className="text-lg opacity-75">Total Time</span>
-                    <span className="text-3xl font-bold">{formatTime(totalTime)}</span>
-                </div>
-                
-                <div className="flex justify-between items-center border-b border-gray-700 pb-4">
-                    <span className="text-lg opacity-75">Total Distance</span>
-                    <span className="text-3xl font-bold">{totalDistance} km</span>
-                </div>
-                
-                <div className="flex justify-between items-center border-b border-gray-700 pb-4">
-                    <span className="text-lg opacity-75">Average Pace</span>
-                    <span className="text-3xl font-bold">{formatPace(avgPace)}/km</span>
+        <div className="space-y-4 border-t border-gray-700 pt-6">
+            <div>
+                <div className="font-semibold">Backup and Restore</div>
+                <div className="text-xs opacity-75">
+                    Runs are only kept in this browser - clearing its data deletes them. Back up to a file to keep them safe or move them to another phone.
                 </div>
+            </div>
 
-                {/* Notes Input */}
-                <div className="pt-4">
-                    <label className="block text-sm opacity-75 mb-2">Run Notes (optional)</label>
-                    <textarea
-                        value={notes}
-                        onChange={(e) => setNotes(e.target.value)}
-                        placeholder="How did this run feel? Any observations?"
-                        className="w-full px-4 py-3 bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 resize-none"
-                        rows="4"
-                        disabled={saved}
+            {compressionSupported && (
+                <label className="flex items-center justify-between cursor-pointer text-sm">
+                    <span>Compress the backup (.json.gz)</span>
+                    <input
+                        type="checkbox"
+                        checked={compress}
+                        onChange={(e) => setCompress(e.target.checked)}
+                        className="w-5 h-5"
                     />
-                </div>
-            </div>
+                </label>
+            )}
 
-            <div className="space-y-3">
-                {!saved && (
-                    <button
-                        onClick={handleSave}
-                        className="w-full px-8 py-4 text-xl font-bold bg-blue-500 hover:bg-blue-600 rounded-lg shadow-lg active:scale-95 transition-transform"
-                    >
-                        Save Run
-                    </button>
-                )}
-                
-                {saved && (
-                    <div className="w-full px-8 py-4 text-center text-green-400 font-semibold bg-green-900 bg-opacity-30 rounded-lg mb-3">
-                        ✓ Run Saved
-                    </div>
-                )}
-                
+            <div className="flex gap-2">
                 <button
-                    onClick={onNewRun}
-                    className="w-full px-8 py-4 text-xl font-bold bg-green-500 hover:bg-green-600 rounded-lg shadow-lg active:scale-95 transition-transform"
+                    onClick={handleExport}
+                    disabled={busy}
+                    className="flex-1 px-4 py-2 bg-blue-500 hover:bg-blue-600 rounded-lg font-semibold disabled:opacity-50"
                 >
-                    {saved ? 'Back to Home' : 'Skip & Go Home'}
+                    Back up
+                </button>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".json,.gz,application/json,application/gzip"
+                    onChange={handleFile}
+                    className="hidden"
+                />
+                <button
+                    onClick={() => fileInputRef.current.click()}
+                    disabled={busy}
+                    className="flex-1 px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg disabled:opacity-50"
+                >
+                    Restore…
                 </button>
             </div>
+
+            {message && <div className="text-sm text-green-400">{message}</div>}
+            {errorMessage && <div className="text-sm text-red-400">{errorMessage}</div>}
+
+            {pending && (
+                <div className="bg-gray-700 rounded-lg p-4 space-y-3 text-sm">
+                    <div>
+                        <div className="font-semibold">{pending.fileName}</div>
+                        {pending.exportedAt && <div className="opacity-75">Made {formatDate(pending.exportedAt)}</div>}
+                    </div>
+                    <div>
+                        {pending.plan.added.length} new, {pending.plan.duplicates.length} already here, {pending.plan.conflicts.length} different from your copy
+                    </div>
+
+                    {pending.plan.conflicts.length > 0 && (
+                        <div className="space-y-2">
+                            <div className="flex justify-between items-center">
+                                <span className="opacity-75">These runs were changed since the backup:</span>
+                                <span className="space-x-2 whitespace-nowrap">
+                                    <button onClick={() => setUseBackupIds([])} className="text-blue-400 hover:text-blue-300">Keep all mine</button>
+                                    <button
+                                        onClick={() => setUseBackupIds(pending.plan.conflicts.map(conflict => conflict.incoming.id))}
+                                        className="text-blue-400 hover:text-blue-300"
+                                    >
+                                        Use all
+                                    </button>
+                                </span>
+                            </div>
+                            {pending.plan.conflicts.map(({ existing, incoming }) => {
+                                const useBackup = useBackupIds.includes(incoming.id);
+                                return (
+                                    <div key={incoming.id} className="bg-gray-800 rounded-lg p-2 space-y-1">
+                                        <div className={useBackup ? 'opacity-50' : ''}>Yours: {describeRun(existing)}</div>
+                                        <div className={useBackup ? '' : 'opacity-50'}>Backup: {describeRun(incoming)}</div>
+                                        <div className="grid grid-cols-2 gap-2 pt-1">
+                                            <button
+                                                onClick={() => toggleConflict(incoming.id, false)}
+                                                className={`px-2 py-1 rounded ${!useBackup ? 'bg-green-500' : 'bg-gray-600 hover:bg-gray-500'}`}
+                                            >
+                                                Keep mine
+                                            </button>
+                                            <button
+                                                onClick={() => toggleConflict(incoming.id, true)}
+                                                className={`px-2 py-1 rounded ${useBackup ? 'bg-green-500' : 'bg-gray-600 hover:bg-gray-500'}`}
+                                            >
+                                                Use backup
+                                            </button>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+
+                    {pending.settings && (
+                        <label className="flex items-center justify-between cursor-pointer">
+                            <span>Also restore settings from the backup</span>
+                            <input
+                                type="checkbox"
+                                checked={restoreSettings}
+                                onChange={(e) => setRestoreSettings(e.target.checked)}
+                                className="w-5 h-5"
+                            />
+                        </label>
+                    )}
+
+                    <div className="flex gap-2">
+                        <button
+                            onClick={handleImport}
+                            disabled={busy}
+                            className="flex-1 px-4 py-2 bg-green-500 hover:bg-green-600 rounded-lg font-semibold disabled:opacity-50"
+                        >
+                            Import
+                        </button>
+                        <button
+                            onClick={() => setPending(null)}
+                            className="flex-1 px-4 py-2 bg-gray-600 hover:bg-gray-500 rounded-lg"
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            )}
         </div>
     );
 }
 
 /**
- * Run History Component
- * Displays list of all saved runs
+ * Coaching Settings Component
+ * When interval announcements are made, what they say and in which voice.
  */
-function RunHistory({ onClose, onDeleteRun }) {
-    const [history, setHistory] = useState(loadRunHistory());
-    const [expandedId, setExpandedId] = useState(null);
+function CoachingSettings({ coaching, onChange }) {
+    const [voices, setVoices] = useState([]);
+    const [showTemplates, setShowTemplates] = useState(false);
+    const update = (changes) => onChange({ ...coaching, ...changes });
+    const units = currentUnits();
+    const inputClass = "px-3 py-2 bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500";
+    const speechSupported = 'speechSynthesis' in window;
+
+    // Voices load asynchronously in some browsers
+    useEffect(() => {
+        if (!speechSupported) return;
+        const loadVoices = () => setVoices(window.speechSynthesis.getVoices());
+        loadVoices();
+        window.speechSynthesis.addEventListener('voiceschanged', loadVoices);
+        return () => window.speechSynthesis.removeEventListener('voiceschanged', loadVoices);
+    }, []);
+
+    // A made-up moment in a run, for previewing the announcement
+    const preview = buildCoachingMessage({ ...coaching, quiet: false }, {
+        distanceMeters: 2.5 * units.distanceMeters,
+        elapsedTime: 750,
+        currentPace: 295,
+        gradeAdjustedPace: null,
+        averagePace: 300,
+        lastSplit: { time: 298 },
+        targetDistance: 5 * units.distanceMeters / 1000,
+        targetPace: 300,
+        planGap: 4,
+        ghostGap: 'Level with your last run'
+    });
+    const templates = [
+        ...COACHING_FIELDS,
+        { id: 'gradeAdjustedPace', label: 'Grade-adjusted pace' },
+        ...COACHING_FEEDBACK
+    ];
+
+    return (
+        <div className="space-y-4 border-t border-gray-700 pt-6">
+            <label className="flex items-center justify-between cursor-pointer">
+                <span>
+                    <span className="block text-xl font-bold">Voice Coaching</span>
+                    {!speechSupported && <span className="block text-xs text-red-400">Speech isn't supported in this browser</span>}
+                </span>
+                <input
+                    type="checkbox"
+                    checked={coaching.enabled}
+                    onChange={(e) => update({ enabled: e.target.checked })}
+                    className="w-6 h-6"
+                />
+            </label>
+
+            {coaching.enabled && (
+                <>
+                    <label className="flex items-center justify-between cursor-pointer">
+                        <span>
+                            <span className="block">Quiet mode</span>
+                            <span className="block text-xs opacity-75">Only speak up when you're well off pace; no pause/resume cues</span>
+                        </span>
+                        <input
+                            type="checkbox"
+                            checked={coaching.quiet}
+                            onChange={(e) => update({ quiet: e.target.checked })}
+                            className="w-6 h-6"
+                        />
+                    </label>
+
+                    <div className="space-y-2">
+                        <div className="text-sm opacity-75">Announce</div>
+                        <label className="flex items-center gap-2">
+                            <input
+                                type="checkbox"
+                                checked={coaching.distanceTrigger}
+                                onChange={(e) => update({ distanceTrigger: e.target.checked })}
+                                className="w-5 h-5"
+                            />
+                            <span>Every</span>
+                            <input
+                                type="number"
+                                min="0.1"
+                                step="0.1"
+                                value={coaching.distanceInterval}
+                                onChange={(e) => update({ distanceInterval: Math.max(0.1, parseFloat(e.target.value) || 0.1) })}
+                                className={`${inputClass} w-20`}
+                            />
+                            <span>{units.distance}</span>
+                        </label>
+                        <label className="flex items-center gap-2">
+                            <input
+                                type="checkbox"
+                                checked={coaching.timeTrigger}
+                                onChange={(e) => update({ timeTrigger: e.target.checked })}
+                                className="w-5 h-5"
+                            />
+                            <span>Every</span>
+                            <input
+                                type="number"
+                                min="1"
+                                step="1"
+                                value={coaching.timeIntervalMinutes}
+                                onChange={(e) => update({ timeIntervalMinutes: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                                className={`${inputClass} w-20`}
+                            />
+                            <span>minutes</span>
+                        </label>
+                    </div>
+
+                    <div className="space-y-2">
+                        <div className="text-sm opacity-75">Include</div>
+                        <div className="grid grid-cols-2 gap-2 text-sm">
+                            {COACHING_FIELDS.map((field) => (
+                                <label key={field.id} className="flex items-center gap-2">
+                                    <input
+                                        type="checkbox"
+                                        checked={coaching.fields[field.id]}
+                                        onChange={(e) => update({ fields: { ...coaching.fields, [field.id]: e.target.checked } })}
+                                        className="w-5 h-5"
+                                    />
+                                    {field.label}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    <label className="flex items-center justify-between gap-2">
+                        <span className="text-sm">On pace within ± (seconds per {units.spokenUnit})</span>
+                        <input
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={Math.round(coaching.paceTolerance * units.distanceMeters / 1000)}
+                            onChange={(e) => update({ paceTolerance: Math.max(0, parseFloat(e.target.value) || 0) * 1000 / units.distanceMeters })}
+                            className={`${inputClass} w-20`}
+                        />
+                    </label>
+
+                    <div className="space-y-2">
+                        <label className="block text-sm opacity-75">Voice</label>
+                        <select
+                            value={coaching.voiceURI}
+                            onChange={(e) => update({ voiceURI: e.target.value })}
+                            className={`${inputClass} w-full`}
+                        >
+                            <option value="">Default voice</option>
+                            {voices.map((voice) => (
+                                <option key={voice.voiceURI} value={voice.voiceURI}>{voice.name} ({voice.lang})</option>
+                            ))}
+                        </select>
+                        <label className="flex items-center gap-3 text-sm">
+                            <span className="w-16">Rate</span>
+                            <input
+                                type="range"
+                                min="0.5"
+                                max="2"
+                                step="0.1"
+                                value={coaching.rate}
+                                onChange={(e) => update({ rate: parseFloat(e.target.value) })}
+                                className="flex-1"
+                            />
+                            <span className="w-10 text-right">{coaching.rate.toFixed(1)}x</span>
+                        </label>
+                        <label className="flex items-center gap-3 text-sm">
+                            <span className="w-16">Volume</span>
+                            <input
+                                type="range"
+                                min="0"
+                                max="1"
+                                step="0.1"
+                                value={coaching.volume}
+                                onChange={(e) => update({ volume: parseFloat(e.target.value) })}
+                                className="flex-1"
+                            />
+                            <span className="w-10 text-right">{Math.round(coaching.volume * 100)}%</span>
+                        </label>
+                    </div>
+
+                    <div className="bg-gray-900 bg-opacity-50 rounded-lg p-3 text-sm space-y-2">
+                        <div className="opacity-75">Example: "{preview || 'Nothing to announce'}"</div>
+                        <button
+                            onClick={() => preview && speak(preview)}
+                            disabled={!speechSupported}
+                            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg disabled:opacity-50"
+                        >
+                            🔊 Test voice
+                        </button>
+                    </div>
+
+                    <div>
+                        <button
+                            onClick={() => setShowTemplates(!showTemplates)}
+                            className="text-sm text-blue-400 hover:text-blue-300"
+                        >
+                            {showTemplates ? '▼ Hide message templates' : '▶ Edit message templates'}
+                        </button>
+                        {showTemplates && (
+                            <div className="space-y-2 mt-2 text-sm">
+                                <div className="text-xs opacity-75">
+                                    Placeholders: {'{distance} {distanceUnit} {elapsedTime} {split} {splitUnit} {currentPace} {gradeAdjustedPace} {averagePace} {requiredPace} {paceUnit} {remainingDistance} {projectedFinish} {plan} {ghost}'}
+                                </div>
+                                {templates.map((template) => (
+                                    <label key={template.id} className="block">
+                                        <span className="block text-xs opacity-75 mb-1">{template.label}</span>
+                                        <input
+                                            type="text"
+                                            value={coaching.templates[template.id]}
+                                            onChange={(e) => update({ templates: { ...coaching.templates, [template.id]: e.target.value } })}
+                                            className={`${inputClass} w-full`}
+                                        />
+                                    </label>
+                                ))}
+                                <button
+                                    onClick={() => update({ templates: DEFAULT_SETTINGS.coaching.templates })}
+                                    className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg"
+                                >
+                                    Reset templates
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Developer Menu Component
+ * Chooses where the next run's fixes come from: the device GPS, or a replay
+ * of a saved run or GPX file at an optional speed-up, with injected noise and
+ * dropouts for reproducing GPS problems at a desk.
+ */
+function DeveloperMenu({ replay, onApply, onClose }) {
+    const [sourceType, setSourceType] = useState(replay ? 'replay' : 'gps');
+    const [track, setTrack] = useState(replay ? { label: replay.label, points: replay.points } : null);
+    const [speed, setSpeed] = useState(replay ? replay.speed : 1);
+    const [noiseMeters, setNoiseMeters] = useState(replay ? replay.noiseMeters : 0);
+    const [dropoutPercent, setDropoutPercent] = useState(replay ? replay.dropoutPercent : 0);
+    const [seedText, setSeedText] = useState(replay && replay.seed !== null ? String(replay.seed) : '');
+    const [runs, setRuns] = useState([]);
+
+    const fileInputRef = useRef(null);
+    const inputClass = "w-full px-3 py-2 bg-gray-700 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500";
+
+    useEffect(() => {
+        loadRunHistory().then(history => setRuns(history.filter(run => run.trackPoints > 0)));
+    }, []);
+
+    const handleSelectRun = async (runId) => {
+        if (!runId) return;
+        try {
+            const run = await loadRun(runId);
+            // Prefer the raw fixes, so the replay goes through the filter like a live run
+            const raw = expandTrack(run.rawTrack);
+            setTrack({
+                label: `Run of ${formatDate(run.date)}`,
+                points: raw.length > 1 ? raw : expandTrack(run.track)
+            });
+        } catch (error) {
+            console.error('Error loading run for replay:', error);
+            alert(storageErrorMessage(error));
+        }
+    };
+
+    const handleGpxFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const run = parseGpx(await file.text());
+            setTrack({ label: file.name, points: expandTrack(run.track) });
+        } catch (error) {
+            console.error('Error loading GPX for replay:', error);
+            alert(`Could not load ${file.name}: ${error.message}`);
+        }
+    };
 
-    const handleDelete = (runId) => {
-        if (confirm('Are you sure you want to delete this run?')) {
-            deleteRun(runId);
-            setHistory(loadRunHistory());
+    const handleApply = () => {
+        if (sourceType === 'gps') {
+            onApply(null);
+            return;
         }
+        const seed = parseInt(seedText, 10);
+        onApply({
+            label: track.label,
+            points: track.points,
+            speed: speed,
+            noiseMeters: noiseMeters,
+            dropoutPercent: dropoutPercent,
+            seed: isNaN(seed) ? null : seed
+        });
     };
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center p-4 z-50 overflow-y-auto">
-            <div className="bg-gray-800 rounded-2xl p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
-                <div className="flex justify-between items-center mb-6">
-                    <h2 className="text-3xl font-bold">Run History</h2>
-                    <button
-                        onClick={onClose}
-                        className="text-4xl leading-none hover:text-gray-400 transition-colors"
-                    >
-                        ×
-                    </button>
-                </div>
-
-                {history.length === 0 ? (
-                    <p className="text-center text-gray-400 py-12">No runs saved yet. Complete a run to see it here!</p>
-                ) : (
-                    <div className="space-y-4">
-                        {history.map((run) => (
-                            <div key={run.id} className="bg-gray-700 rounded-lg p-4">
-                                <div className="flex justify-between items-start mb-2">
-                                    <div>
-                                        <div className="text-sm text-gray-400">{formatDate(run.date)}</div>
-                                        <div className="text-2xl font-bold mt-1">{run.distance} km</div>
-                                    </div>
-                                    <button
-                                        onClick={() => handleDelete(run.id)}
-                                        className="text-red-400 hover:text-red-300 text-sm px-3 py-1 rounded hover:bg-red-900 hover:bg-opacity-30 transition-colors"
-                                    >
-                                        Delete
-                                    </button>
-                                </div>
+            <div className="bg-gray-800 rounded-2xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-center mb-6">
+                    <h2 className="text-3xl font-bold">Developer</h2>
+                    <button
+                        onClick={onClose}
+                        className="text-4xl leading-none hover:text-gray-400 transition-colors"
+                    >
+                        ×
+                    </button>
+                </div>
 
-                                <div className="grid grid-cols-2 gap-4 text-sm mb-3">
-                                    <div>
-                                        <span className="text-gray-400">Time: </span>
-                                        <span className="font-semibold">{formatTime(run.time)}</span>
-                                    </div>
-                                    <div>
-                                        <span className="text-gray-400">Pace: </span>
-                                        <span className="font-semibold">{formatPace(run.avgPace)}/km</span>
-                                    </div>
+                <div className="space-y-4">
+                    <div>
+                        <label className="block text-sm opacity-75 mb-2">Position source</label>
+                        <select
+                            value={sourceType}
+                            onChange={(e) => setSourceType(e.target.value)}
+                            className={inputClass}
+                        >
+                            <option value="gps">Device GPS</option>
+                            <option value="replay">Replay a recorded track</option>
+                        </select>
+                    </div>
+
+                    {sourceType === 'replay' && (
+                        <>
+                            <div className="space-y-2">
+                                <label className="block text-sm opacity-75">Track</label>
+                                <select
+                                    value=""
+                                    onChange={(e) => handleSelectRun(e.target.value)}
+                                    className={inputClass}
+                                >
+                                    <option value="">Choose a saved run…</option>
+                                    {runs.map((run) => (
+                                        <option key={run.id} value={run.id}>
+                                            {formatDate(run.date)} - {formatDistanceWithUnit(parseFloat(run.distance) * 1000)}
+                                        </option>
+                                    ))}
+                                </select>
+                                <input
+                                    ref={fileInputRef}
+                                    type="file"
+                                    accept=".gpx,application/gpx+xml"
+                                    onChange={handleGpxFile}
+                                    className="hidden"
+                                />
+                                <button
+                                    onClick={() => fileInputRef.current.click()}
+                                    className="w-full px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg"
+                                >
+                                    Load GPX file…
+                                </button>
+                                <div className="text-sm opacity-75">
+                                    {track ? `${track.label} (${track.points.length} fixes)` : 'No track chosen'}
                                 </div>
+                            </div>
 
-                                {run.notes && (
-                                    <div className="mt-3 pt-3 border-t border-gray-600">
-                                        <button
-                                            onClick={() => setExpandedId(expandedId === run.id ? null : run.id)}
-                                            className="text-sm text-blue-400 hover:text-blue-300 mb-2"
-                                        >
-                                            {expandedId === run.id ? '▼ Hide notes' : '▶ Show notes'}
-                                        </button>
-                                        {expandedId === run.id && (
-                                            <p className="text-sm text-gray-300 bg-gray-800 p-3 rounded">
-                                                {run.notes}
-                                            </p>
-                                        )}
-                                    </div>
-                                )}
+                            <div>
+                                <label className="block text-sm opacity-75 mb-2">Speed</label>
+                                <select
+                                    value={speed}
+                                    onChange={(e) => setSpeed(parseInt(e.target.value, 10))}
+                                    className={inputClass}
+                                >
+                                    {[1, 2, 5, 10, 30, 60].map((value) => (
+                                        <option key={value} value={value}>{value}x</option>
+                                    ))}
+                                </select>
                             </div>
-                        ))}
-                    </div>
-                )}
+
+                            <div className="grid grid-cols-3 gap-3">
+                                <div>
+                                    <label className="block text-xs opacity-75 mb-1">Noise (m)</label>
+                                    <input
+                                        type="number"
+                                        value={noiseMeters}
+                                        onChange={(e) => setNoiseMeters(Math.max(0, parseFloat(e.target.value) || 0))}
+                                        min="0"
+                                        className={inputClass}
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-xs opacity-75 mb-1">Dropouts (%)</label>
+                                    <input
+                                        type="number"
+                                        value={dropoutPercent}
+                                        onChange={(e) => setDropoutPercent(Math.max(0, Math.min(100, parseFloat(e.target.value) || 0)))}
+                                        min="0"
+                                        max="100"
+                                        className={inputClass}
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-xs opacity-75 mb-1">Seed</label>
+                                    <input
+                                        type="number"
+                                        value={seedText}
+                                        onChange={(e) => setSeedText(e.target.value)}
+                                        placeholder="random"
+                                        className={inputClass}
+                                    />
+                                </div>
+                            </div>
+                            <p className="text-xs opacity-75">Use the same seed to get the same noise and dropouts on every replay.</p>
+                        </>
+                    )}
+                </div>
 
                 <button
-                    onClick={onClose}
-                    className="w-full mt-6 px-6 py-3 bg-gray-600 hover:bg-gray-500 rounded-lg font-semibold transition-colors"
+                    onClick={handleApply}
+                    disabled={sourceType === 'replay' && !track}
+                    className="w-full mt-6 px-6 py-3 text-lg font-bold bg-green-500 hover:bg-green-600 disabled:opacity-50 rounded-lg active:scale-95 transition-transform"
                 >
-                    Close
+                    Use for next run
                 </button>
             </div>
         </div>
@@ -559,30 +6841,54 @@ function App() {
     // Run state machine: idle, setup, running, paused, finished
     const [runState, setRunState] = useState('idle');
     
-    // View state: 'tracker' or 'history'
+    // View state: 'tracker', 'history', 'statistics', 'records', 'predictions', 'settings' or 'developer'
     const [view, setView] = useState('tracker');
+    const [settings, setSettings] = useState(appSettings);
     
     // Run configuration
     const [goalPaceSeconds, setGoalPaceSeconds] = useState(5 * 60);
+    const [goalFinishTime, setGoalFinishTime] = useState(null); // Seconds for the target distance, in finish-time mode
     const [targetDistance, setTargetDistance] = useState(5.0);
+    const [pacingPlan, setPacingPlan] = useState(null); // From buildPacingPlan, or null for no plan
+    const [gradeAdjusted, setGradeAdjusted] = useState(false); // Compare grade-adjusted pace to the goal
+    
+    // Interval workout and progress through its steps
+    const [workout, setWorkout] = useState(null);
+    const [workoutProgress, setWorkoutProgress] = useState(null); // { stepIndex, stepStartDistance, stepStartTime, results }
+
+    // Ghost runner - a saved run to race against
+    const [ghost, setGhost] = useState(null); // From createGhost
+    const ghostRunIdRef = useRef(null); // Checkpointed, so a crash before the ghost loads doesn't lose it
     
     // GPS tracking
-    const [gpsPoints, setGpsPoints] = useState([]);
+    const [gpsPoints, setGpsPoints] = useState([]); // Kalman-filtered track
+    const [rawPoints, setRawPoints] = useState([]); // Unfiltered fixes, saved for re-processing
+    const kalmanStateRef = useRef(null);
     const [totalDistance, setTotalDistance] = useState(0); // in meters
     const [gpsStatus, setGpsStatus] = useState('Not started');
-    const watchIdRef = useRef(null);
+    const stopWatchRef = useRef(null); // Stops the position source's watch
+    
+    // Where fixes come from - the device GPS, or a replay set up in the developer menu
+    const [replay, setReplay] = useState(null); // { label, points, speed, noiseMeters, dropoutPercent, seed }
+    const positionSourceRef = useRef(createGeolocationSource());
+    // GPS and tracking settings in force for the current run
+    const trackingRef = useRef(appSettings.tracking);
     
     // Timer
     const [elapsedTime, setElapsedTime] = useState(0); // in seconds
     const timerRef = useRef(null);
     const startTimeRef = useRef(null);
     const pausedTimeRef = useRef(0);
+    const runStartedAtRef = useRef(null); // Wall-clock start, for elapsed time
+    const pausesRef = useRef([]); // Pause intervals { start, end } in epoch ms
     
-    // Pace smoothing - store last 5 pace readings for 10-second rolling average
-    const paceWindowRef = useRef([]);
+    // Auto-pause - the ref is read from the GPS callback
+    const [autoPaused, setAutoPaused] = useState(false);
+    const autoPauseRef = useRef({ enabled: false, paused: false, stoppedSince: null });
     
     // Voice announcements
     const lastAnnouncementDistanceRef = useRef(0);
+    const lastAnnouncementTimeRef = useRef(0);
     
     // Wake lock
     const [keepAwake, setKeepAwake] = useState(false);
@@ -591,6 +6897,18 @@ function App() {
 
     // Current run data for saving
     const [currentRunData, setCurrentRunData] = useState(null);
+    const [runSaved, setRunSaved] = useState(false); // The finished run is in history - stop checkpointing it
+    const [newRecords, setNewRecords] = useState([]); // Personal records the finished run beats
+
+    // Crash recovery - unfinished run found on startup
+    const [recoverableSession, setRecoverableSession] = useState(null);
+
+    // Run sync - null while sync is off
+    const [syncStatus, setSyncStatus] = useState(null); // { state, lastSyncAt, pushed, pulled, error, retryAt }
+
+    // Latest state of the active run, for timers and GPS callbacks that
+    // outlive the render they were created in
+    const liveRunRef = useRef(null);
 
     // Check wake lock support on mount
     useEffect(() => {
@@ -599,6 +6917,29 @@ function App() {
         }
     }, []);
 
+    // Check the finished run against the personal records
+    useEffect(() => {
+        setNewRecords([]);
+        if (!currentRunData) return;
+
+        let cancelled = false;
+        loadRecords().then((records) => {
+            if (!cancelled) setNewRecords(findNewRecords(records, currentRunData));
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [currentRunData]);
+
+    // Look for a run that was interrupted by a crash or reload
+    useEffect(() => {
+        loadActiveSession().then((session) => {
+            if (session) {
+                setRecoverableSession(session);
+            }
+        });
+    }, []);
+
     // Wake lock management
     useEffect(() => {
         async function handleWakeLock() {
@@ -627,37 +6968,51 @@ function App() {
     }, [keepAwake, wakeLockSupported]);
 
     /**
-     * Start GPS tracking using watchPosition
+     * Current time on the position source's clock, which runs fast during an
+     * accelerated replay
+     * @returns {number} Epoch ms
+     */
+    function now() {
+        return positionSourceRef.current.now();
+    }
+
+    /**
+     * Start GPS tracking from the current position source
      */
     function startGPSTracking() {
-        if (!navigator.geolocation) {
-            setGpsStatus('GPS not supported');
+        const source = positionSourceRef.current;
+        if (!source.available) {
+            setGpsStatus(source.unavailableMessage);
             return;
         }
 
-        setGpsStatus('Acquiring GPS...');
+        setGpsStatus(source.replay ? 'Starting replay...' : 'Acquiring GPS...');
 
-        watchIdRef.current = navigator.geolocation.watchPosition(
+        stopWatchRef.current = source.watch(
             (position) => {
-                setGpsStatus(`Tracking (${position.coords.accuracy.toFixed(0)}m accuracy)`);
-                
-                // Filter 1: Check GPS accuracy - ignore if worse than 30m
-                if (position.coords.accuracy > MAX_GPS_ACCURACY_METERS) {
-                    console.log(`GPS accuracy too low: ${position.coords.accuracy}m, ignoring`);
-                    return;
-                }
+                setGpsStatus(`${source.statusLabel} (${position.coords.accuracy.toFixed(0)}m accuracy)`);
                 
-                const newPoint = {
+                const rawPoint = {
                     lat: position.coords.latitude,
                     lon: position.coords.longitude,
                     timestamp: position.timestamp,
-                    accuracy: position.coords.accuracy
+                    accuracy: position.coords.accuracy,
+                    altitude: position.coords.altitude,
+                    altitudeAccuracy: position.coords.altitudeAccuracy
                 };
+                setRawPoints((prevPoints) => [...prevPoints, rawPoint]);
+
+                // Smooth the fix, weighting it by its accuracy
+                const { state, point: newPoint } = kalmanFilterStep(kalmanStateRef.current, rawPoint, trackingRef.current);
+                kalmanStateRef.current = state;
+
+                updateAutoPause(newPoint);
+                const countDistance = !autoPauseRef.current.paused;
 
                 setGpsPoints((prevPoints) => {
                     const updated = [...prevPoints, newPoint];
                     
-                    // Calculate distance increment if we have a previous point
+                    // Calculate distance increment along the filtered track
                     if (prevPoints.length > 0) {
                         const lastPoint = prevPoints[prevPoints.length - 1];
                         const distanceIncrement = haversineDistance(
@@ -667,28 +7022,22 @@ function App() {
                             newPoint.lon
                         );
 
-                        console.log(`Distance since last point: ${distanceIncrement.toFixed(2)}m`);
-
-                        // Filter 2: Movement threshold - only add distance if moved > 3m
-                        if (distanceIncrement >= MIN_DISTANCE_THRESHOLD_METERS) {
+                        if (distanceIncrement > 0 && countDistance) {
                             setTotalDistance((prev) => {
                                 const newDistance = prev + distanceIncrement;
                                 console.log(`Total distance: ${(newDistance / 1000).toFixed(3)}km`);
                                 
-                                // Check for voice announcements every 500m
-                                const kmTraveled = newDistance / 1000;
-                                const lastAnnouncementKm = lastAnnouncementDistanceRef.current / 1000;
+                                // Check for distance-triggered voice announcements
+                                const interval = coachingDistanceInterval(appSettings.coaching);
                                 
-                                if (Math.floor(kmTraveled / 0.5) > Math.floor(lastAnnouncementKm / 0.5)) {
+                                if (announcementDue(newDistance, lastAnnouncementDistanceRef.current, interval)) {
                                     // Time for an announcement
-                                    makeVoiceAnnouncement(newDistance);
+                                    makeVoiceAnnouncement(newDistance, updated);
                                     lastAnnouncementDistanceRef.current = newDistance;
                                 }
                                 
                                 return newDistance;
                             });
-                        } else {
-                            console.log(`Movement too small (${distanceIncrement.toFixed(2)}m), ignoring`);
                         }
                     }
                     
@@ -705,7 +7054,7 @@ function App() {
                     setGpsStatus('Timeout');
                 }
             },
-            GPS_OPTIONS
+            () => setGpsStatus('Replay finished')
         );
     }
 
@@ -713,9 +7062,9 @@ function App() {
      * Stop GPS tracking
      */
     function stopGPSTracking() {
-        if (watchIdRef.current !== null) {
-            navigator.geolocation.clearWatch(watchIdRef.current);
-            watchIdRef.current = null;
+        if (stopWatchRef.current) {
+            stopWatchRef.current();
+            stopWatchRef.current = null;
         }
     }
 
@@ -723,23 +7072,83 @@ function App() {
      * Start the run timer
      */
     function startTimer() {
-        startTimeRef.current = Date.now() - pausedTimeRef.current * 1000;
+        startTimeRef.current = now() - pausedTimeRef.current * 1000;
         
         timerRef.current = setInterval(() => {
-            const elapsed = Math.floor((Date.now() - startTimeRef.current) / 1000);
+            const elapsed = Math.floor((now() - startTimeRef.current) / 1000);
             setElapsedTime(elapsed);
         }, 1000);
     }
 
     /**
-     * Pause the run timer
+     * Pause the run timer.
+     * Reads the clock rather than elapsedTime state, so it is safe to call
+     * from GPS callbacks created in an earlier render.
+     * @param {number} at - Moment the pause took effect (epoch ms), defaults to now
      */
-    function pauseTimer() {
+    function pauseTimer(at = now()) {
         if (timerRef.current) {
             clearInterval(timerRef.current);
             timerRef.current = null;
+            pausedTimeRef.current = Math.max(0, Math.floor((at - startTimeRef.current) / 1000));
+            setElapsedTime(pausedTimeRef.current);
+        }
+    }
+
+    /**
+     * Open a pause interval, unless one is already open
+     * @param {number} at - Pause start (epoch ms)
+     */
+    function openPause(at) {
+        const pauses = pausesRef.current;
+        if (pauses.length === 0 || pauses[pauses.length - 1].end !== null) {
+            pausesRef.current = [...pauses, { start: at, end: null }];
+        }
+    }
+
+    /**
+     * Close the open pause interval, if any
+     * @param {number} at - Pause end (epoch ms)
+     */
+    function closePause(at) {
+        pausesRef.current = pausesRef.current.map(pause => (
+            pause.end === null ? { ...pause, end: at } : pause
+        ));
+    }
+
+    /**
+     * Check a filtered fix for stopping or starting while auto-pause is on.
+     * The clock is paused back to the moment the runner stopped, once they
+     * have been stationary for the auto-pause delay.
+     * @param {Object} point - Filtered GPS point with speed
+     */
+    function updateAutoPause(point) {
+        const autoPause = autoPauseRef.current;
+        const tracking = trackingRef.current;
+        if (!autoPause.enabled) return;
+
+        if (autoPause.paused) {
+            if (point.speed >= tracking.autoResumeSpeed) {
+                autoPause.paused = false;
+                autoPause.stoppedSince = null;
+                closePause(point.timestamp);
+                startTimer();
+                setAutoPaused(false);
+                speakCue('Resumed');
+            }
+        } else if (point.speed < tracking.minMovingSpeed) {
+            if (autoPause.stoppedSince === null) {
+                autoPause.stoppedSince = point.timestamp;
+            } else if (point.timestamp - autoPause.stoppedSince >= tracking.autoPauseDelay * 1000) {
+                autoPause.paused = true;
+                openPause(autoPause.stoppedSince);
+                pauseTimer(autoPause.stoppedSince);
+                setAutoPaused(true);
+                speakCue('Paused');
+            }
+        } else {
+            autoPause.stoppedSince = null;
         }
-        pausedTimeRef.current = elapsedTime;
     }
 
     /**
@@ -753,6 +7162,8 @@ function App() {
         setElapsedTime(0);
         pausedTimeRef.current = 0;
         startTimeRef.current = null;
+        runStartedAtRef.current = null;
+        pausesRef.current = [];
     }
 
     // ========================================
@@ -767,99 +7178,276 @@ function App() {
         setRunState('idle');
     }
 
-    function handleStartFromSetup(goalPace, distance) {
+    function handleStartFromSetup({ goalPace, goalFinishTime: finishTime, targetDistance: distance, pacingPlan: plan, autoPause, gradeAdjusted: useGradeAdjusted, workout: selectedWorkout, ghostRunId }) {
         setGoalPaceSeconds(goalPace);
+        setGoalFinishTime(finishTime);
         setTargetDistance(distance);
+        setPacingPlan(plan);
+        setGradeAdjusted(useGradeAdjusted);
+        autoPauseRef.current = { enabled: autoPause, paused: false, stoppedSince: null };
+        setWorkout(selectedWorkout);
+        if (selectedWorkout) {
+            const firstStep = expandWorkout(selectedWorkout)[0];
+            setWorkoutProgress({ stepIndex: 0, stepStartDistance: 0, stepStartTime: 0, results: [] });
+            speak(`${firstStep.label}. ${describeStep(firstStep)}`);
+        } else {
+            setWorkoutProgress(null);
+        }
+        ghostRunIdRef.current = ghostRunId || null;
+        loadGhost(ghostRunId);
+        trackingRef.current = appSettings.tracking;
+        positionSourceRef.current = createPositionSource(replay);
+        runStartedAtRef.current = now();
         setRunState('running');
         startGPSTracking();
         startTimer();
         lastAnnouncementDistanceRef.current = 0;
+        lastAnnouncementTimeRef.current = 0;
+    }
+
+    /**
+     * Load a saved run as the ghost to race. The run starts straight away;
+     * the ghost appears once its track has loaded.
+     * @param {string|null} runId - Saved run id, or null for no ghost
+     */
+    function loadGhost(runId) {
+        setGhost(null);
+        if (!runId) return;
+
+        loadRun(runId)
+            .then((run) => {
+                if (run) setGhost(createGhost(run));
+            })
+            .catch((error) => console.error('Error loading ghost run:', error));
+    }
+
+    /**
+     * Leave auto-pause without resuming the clock (a manual pause or finish takes over)
+     */
+    function clearAutoPause() {
+        autoPauseRef.current = { ...autoPauseRef.current, paused: false, stoppedSince: null };
+        setAutoPaused(false);
     }
 
     function handlePause() {
         setRunState('paused');
         stopGPSTracking();
         pauseTimer();
+        openPause(now());
+        clearAutoPause();
     }
 
     function handleResume() {
         setRunState('running');
+        closePause(now());
         startGPSTracking();
         startTimer();
     }
 
     function handleFinish() {
+        const finishedAt = now();
         setRunState('finished');
         stopGPSTracking();
-        pauseTimer();
+        pauseTimer(finishedAt);
+        closePause(finishedAt);
+        clearAutoPause();
         
         // Store current run data for saving
-        const distanceKm = (totalDistance / 1000).toFixed(2);
-        const avgPace = elapsedTime / parseFloat(distanceKm);
-        
-        setCurrentRunData({
-            time: elapsedTime,
-            distance: distanceKm,
-            avgPace: avgPace,
-            date: new Date().toISOString(),
+        setCurrentRunData(buildRunRecord({
+            movingTime: pausedTimeRef.current,
+            startedAt: runStartedAtRef.current,
+            finishedAt: finishedAt,
+            distanceMeters: totalDistance,
+            points: gpsPoints,
+            rawPoints: rawPoints,
+            pauses: pausesRef.current,
             goalPace: goalPaceSeconds,
-            targetDistance: targetDistance
-        });
+            goalFinishTime: goalFinishTime,
+            targetDistance: targetDistance,
+            pacingPlan: pacingPlan,
+            workout: buildWorkoutRecord(workout, workoutProgress, totalDistance, pausedTimeRef.current),
+            tracking: trackingRef.current,
+            replay: positionSourceRef.current.replay
+        }));
     }
 
     function handleNewRun() {
+        clearActiveSession();
         setRunState('idle');
         setGpsPoints([]);
+        setRawPoints([]);
+        kalmanStateRef.current = null;
         setTotalDistance(0);
         setGpsStatus('Not started');
         resetTimer();
-        paceWindowRef.current = [];
         setCurrentRunData(null);
+        setRunSaved(false);
+        setWorkout(null);
+        setWorkoutProgress(null);
+        setGhost(null);
+        ghostRunIdRef.current = null;
         lastAnnouncementDistanceRef.current = 0;
+        lastAnnouncementTimeRef.current = 0;
     }
 
     /**
-     * Make voice announcement about pace
+     * Load a checkpointed session back into the run state
+     * @param {Object} session - Checkpoint from loadActiveSession
+     * @returns {Object} The restored { points, rawPoints }
      */
-    function makeVoiceAnnouncement(distanceMeters) {
-        const distanceKm = distanceMeters / 1000;
-        const currentPace = getCurrentPace();
-        
-        if (currentPace === null) return;
-        
-        const paceText = formatPace(currentPace);
-        const goalPaceText = formatPace(goalPaceSeconds);
-        
-        let message = `${distanceKm.toFixed(1)} kilometers. Current pace: ${paceText} per kilometer. `;
-        
-        // Add motivational message based on performance
-        const paceDiff = currentPace - goalPaceSeconds;
-        
-        if (paceDiff < -10) {
-            message += "Excellent work! You're well ahead of pace!";
-        } else if (paceDiff < 0) {
-            message += "Great job! You're right on pace!";
-        } else if (paceDiff < 10) {
-            message += "You're slightly behind pace. Keep pushing!";
+    function restoreSession(session) {
+        // Rebuild the filtered track and filter state from the raw fixes
+        const raw = expandTrack(session.rawTrack);
+        // Older checkpoints don't record their settings
+        trackingRef.current = session.tracking || appSettings.tracking;
+        const { points, state } = filterTrack(raw, trackingRef.current);
+        kalmanStateRef.current = state;
+        positionSourceRef.current = createGeolocationSource(trackingRef.current); // Replays aren't checkpointed
+
+        setGoalPaceSeconds(session.goalPaceSeconds);
+        setGoalFinishTime(session.goalFinishTime || null);
+        setTargetDistance(session.targetDistance);
+        setPacingPlan(session.pacingPlan || null);
+        setGradeAdjusted(!!session.gradeAdjusted);
+        setGpsPoints(points);
+        setRawPoints(raw);
+        setTotalDistance(session.totalDistance);
+        lastAnnouncementDistanceRef.current = session.lastAnnouncementDistance;
+        // Older checkpoints don't have it - don't announce everything missed since the start
+        lastAnnouncementTimeRef.current = hasValue(session.lastAnnouncementTime) ? session.lastAnnouncementTime : session.elapsedTime;
+        runStartedAtRef.current = session.runStartedAt || session.startTime;
+        pausesRef.current = session.pauses || [];
+        autoPauseRef.current = { enabled: !!session.autoPauseEnabled, paused: false, stoppedSince: null };
+        setWorkout(session.workout || null);
+        setWorkoutProgress(session.workoutProgress || null);
+        ghostRunIdRef.current = session.ghostRunId || null;
+        loadGhost(ghostRunIdRef.current);
+        setRecoverableSession(null);
+        return { points, rawPoints: raw };
+    }
+
+    /**
+     * Resume an interrupted run.
+     * A run that was going when it was interrupted keeps its wall-clock start
+     * time, so the time since the crash counts towards the run.
+     */
+    function handleResumeSession() {
+        const session = recoverableSession;
+        restoreSession(session);
+
+        // An auto-paused run comes back manually paused, with its pause still open
+        if (session.runState === 'running' && !session.autoPaused) {
+            const elapsed = Math.floor((now() - session.startTime) / 1000);
+            pausedTimeRef.current = elapsed;
+            setElapsedTime(elapsed);
+            setRunState('running');
+            startGPSTracking();
+            startTimer();
         } else {
-            message += "Pick up the pace! You can do it!";
+            pausedTimeRef.current = session.elapsedTime;
+            setElapsedTime(session.elapsedTime);
+            setRunState('paused');
+        }
+    }
+
+    /**
+     * Finish an interrupted run as it stood at its last checkpoint
+     */
+    function handleFinishSession() {
+        const session = recoverableSession;
+        const { points, rawPoints } = restoreSession(session);
+
+        pausedTimeRef.current = session.elapsedTime;
+        setElapsedTime(session.elapsedTime);
+        setRunState('finished');
+        closePause(session.savedAt);
+        setCurrentRunData(buildRunRecord({
+            movingTime: session.elapsedTime,
+            startedAt: runStartedAtRef.current,
+            finishedAt: session.savedAt,
+            distanceMeters: session.totalDistance,
+            points: points,
+            rawPoints: rawPoints,
+            pauses: pausesRef.current,
+            goalPace: session.goalPaceSeconds,
+            goalFinishTime: session.goalFinishTime || null,
+            targetDistance: session.targetDistance,
+            pacingPlan: session.pacingPlan || null,
+            workout: buildWorkoutRecord(session.workout, session.workoutProgress, session.totalDistance, session.elapsedTime),
+            tracking: trackingRef.current
+        }));
+    }
+
+    /**
+     * Throw away an interrupted run
+     */
+    function handleDiscardSession() {
+        if (confirm('Discard the unfinished run? This cannot be undone.')) {
+            clearActiveSession();
+            setRecoverableSession(null);
+        }
+    }
+
+    /**
+     * Make an interval voice announcement, built from the coaching settings.
+     * Called from the GPS callback and the timer, so it reads the latest run
+     * state from liveRunRef rather than from this render's closure.
+     * @param {number} distanceMeters - Total distance so far
+     * @param {Array} points - GPS points including the newest fix
+     */
+    function makeVoiceAnnouncement(distanceMeters, points) {
+        const { targetPace, targetDistance, goalFinishTime, pacingPlan, elapsedTime, gradeAdjusted, ghost, pauses, tracking } = liveRunRef.current;
+        const coaching = appSettings.coaching;
+        const splitMeters = currentUnits().distanceMeters;
+
+        // Most recent full split in the display units
+        const lastSplit = coaching.fields.split
+            ? computeSplits(points, splitMeters, pauses).filter(split => split.distance >= splitMeters).pop()
+            : null;
+
+        let ghostText = null;
+        const ghostGap = ghost ? computeGhostGap(ghost, distanceMeters, elapsedTime) : null;
+        if (ghostGap && ghostGap.seconds !== null) {
+            const seconds = Math.round(Math.abs(ghostGap.seconds));
+            ghostText = seconds === 0
+                ? `Level with ${ghostRunName(ghost.date)}`
+                : `${seconds} seconds ${ghostGap.seconds > 0 ? 'ahead of' : 'behind'} ${ghostRunName(ghost.date)}`;
+        }
+
+        const message = buildCoachingMessage(coaching, {
+            distanceMeters: distanceMeters,
+            elapsedTime: elapsedTime,
+            currentPace: computeRollingPace(points, tracking.paceWindow),
+            gradeAdjustedPace: gradeAdjusted ? computeRollingGradeAdjustedPace(points, tracking.paceWindow) : null,
+            averagePace: computeAveragePace(elapsedTime, distanceMeters),
+            lastSplit: lastSplit,
+            targetDistance: targetDistance,
+            targetPace: targetPace, // Null for an easy workout step - no feedback
+            requiredPace: goalFinishTime ? computeRequiredPace(goalFinishTime, elapsedTime, distanceMeters, targetDistance) : null,
+            planGap: pacingPlan ? planTimeAt(pacingPlan, distanceMeters) - elapsedTime : null,
+            ghostGap: ghostText
+        });
+        if (message) {
+            speak(message);
         }
-        
-        speak(message);
     }
 
     /**
-     * Save the current run with notes to localStorage
+     * Save the current run with notes and tags to IndexedDB
      * @param {string} notes - User's notes about the run
+     * @param {Array} tags - User-defined tags
+     * @returns {Promise} Rejects if the run could not be stored
      */
-    function handleSaveRun(notes) {
+    async function handleSaveRun(notes, tags) {
         if (currentRunData) {
             const runToSave = {
                 ...currentRunData,
                 notes: notes,
+                tags: tags,
                 id: Date.now().toString() // Simple unique ID
             };
-            saveRun(runToSave);
+            await saveRun(runToSave);
+            setRunSaved(true); // The checkpoint effect clears the session
         }
     }
 
@@ -871,38 +7459,156 @@ function App() {
     }
 
     /**
-     * Close run history and return to tracker
+     * Open the training statistics
+     */
+    function handleViewStatistics() {
+        setView('statistics');
+    }
+
+    /**
+     * Open the personal records page
+     */
+    function handleViewRecords() {
+        setView('records');
+    }
+
+    /**
+     * Open the race predictions
+     */
+    function handleViewPredictions() {
+        setView('predictions');
+    }
+
+    /**
+     * Open the settings page
+     */
+    function handleViewSettings() {
+        setView('settings');
+    }
+
+    /**
+     * Store changed settings and re-render with them
+     * @param {Object} newSettings - Complete settings
+     */
+    function handleChangeSettings(newSettings) {
+        saveSettings(newSettings);
+        setSettings(newSettings);
+    }
+
+    /**
+     * Open the developer menu
+     */
+    function handleViewDeveloper() {
+        setView('developer');
+    }
+
+    /**
+     * Close an overlay view (history, statistics, records, predictions, settings, developer menu) and return to tracker
      */
-    function handleCloseHistory() {
+    function handleCloseView() {
         setView('tracker');
     }
 
     /**
-     * Calculate current pace with smoothing
-     * @returns {number|null} Current pace in seconds per km, or null if insufficient data
+     * Apply the position source chosen in the developer menu
+     * @param {Object|null} settings - Replay settings, or null for the device GPS
      */
-    function getCurrentPace() {
-        const distanceKm = totalDistance / 1000;
-        
-        if (distanceKm < 0.01 || elapsedTime < 1) {
-            return null; // Not enough data
-        }
+    function handleApplyDeveloperSettings(settings) {
+        setReplay(settings);
+        setView('tracker');
+    }
 
-        const paceSecondsPerKm = elapsedTime / distanceKm;
-        
-        // Simple moving average smoothing
-        paceWindowRef.current.push(paceSecondsPerKm);
-        if (paceWindowRef.current.length > PACE_SMOOTHING_WINDOW) {
-            paceWindowRef.current.shift();
+    // In finish-time mode the target is the pace needed over the remaining
+    // distance, recalculated as the run goes; past the target distance it
+    // falls back to the even goal pace
+    const requiredPace = goalFinishTime
+        ? computeRequiredPace(goalFinishTime, elapsedTime, totalDistance, targetDistance)
+        : null;
+    const projectedFinish = goalFinishTime
+        ? computeProjectedFinish(elapsedTime, totalDistance, targetDistance)
+        : null;
+
+    // Pacing plan: the current segment's target, and the time against the plan
+    // at this distance. An even plan leaves the goal (or required) pace in charge.
+    const planSegment = pacingPlan ? planSegmentIndex(pacingPlan, totalDistance) : null;
+    const planPace = pacingPlan && pacingPlan.type !== 'even' ? pacingPlan.segments[planSegment].pace : null;
+    const planGap = pacingPlan ? planTimeAt(pacingPlan, totalDistance) - elapsedTime : null;
+
+    // Current workout step - its pace replaces the goal pace while it runs
+    const workoutSteps = workout ? expandWorkout(workout) : [];
+    const currentStep = workoutProgress && workoutProgress.stepIndex < workoutSteps.length
+        ? workoutSteps[workoutProgress.stepIndex]
+        : null;
+    const targetPace = currentStep ? currentStep.pace
+        : planPace !== null ? planPace
+        : requiredPace !== null ? requiredPace
+        : goalPaceSeconds;
+
+    /**
+     * Describe the workout step in progress for MetricDisplay
+     * @returns {Object|null} { stepNumber, totalSteps, label, remaining }
+     */
+    function getWorkoutStatus() {
+        if (!workoutProgress) {
+            return null;
         }
-        
-        const smoothedPace = paceWindowRef.current.reduce((a, b) => a + b, 0) / paceWindowRef.current.length;
-        return smoothedPace;
+        if (!currentStep) {
+            return {
+                stepNumber: workoutSteps.length,
+                totalSteps: workoutSteps.length,
+                label: 'Workout complete',
+                remaining: 'Keep going or finish'
+            };
+        }
+
+        const units = currentUnits();
+        const remaining = currentStep.type === 'distance'
+            ? `${Math.round(Math.max(0, currentStep.value - (totalDistance - workoutProgress.stepStartDistance)) / units.shortDistanceMeters)} ${units.shortDistance} left`
+            : `${formatTime(Math.max(0, currentStep.value - (elapsedTime - workoutProgress.stepStartTime)))} left`;
+
+        return {
+            stepNumber: workoutProgress.stepIndex + 1,
+            totalSteps: workoutSteps.length,
+            label: currentStep.label,
+            remaining: remaining
+        };
     }
 
-    const currentPace = getCurrentPace();
+    // Move to the next workout step once the current one is done
+    useEffect(() => {
+        if (runState !== 'running' || !currentStep) {
+            return;
+        }
+
+        const stepDistance = totalDistance - workoutProgress.stepStartDistance;
+        const stepTime = elapsedTime - workoutProgress.stepStartTime;
+        const done = currentStep.type === 'distance'
+            ? stepDistance >= currentStep.value
+            : stepTime >= currentStep.value;
+        if (!done) {
+            return;
+        }
+
+        const nextStep = workoutSteps[workoutProgress.stepIndex + 1];
+        setWorkoutProgress({
+            stepIndex: workoutProgress.stepIndex + 1,
+            stepStartDistance: totalDistance,
+            stepStartTime: elapsedTime,
+            results: [...workoutProgress.results, buildStepResult(currentStep, stepDistance, stepTime, true)]
+        });
+        speak(nextStep ? `${nextStep.label}. ${describeStep(nextStep)}` : 'Workout complete. Great work!');
+    }, [totalDistance, elapsedTime, runState]);
+
+    const paceWindow = trackingRef.current.paceWindow;
+    const currentPace = computeRollingPace(gpsPoints, paceWindow);
+    const gradeAdjustedPace = gradeAdjusted ? computeRollingGradeAdjustedPace(gpsPoints, paceWindow) : null;
+    const averagePace = computeAveragePace(elapsedTime, totalDistance);
     const distanceKm = (totalDistance / 1000).toFixed(2);
 
+    // Pace compared against the goal - grade-adjusted when enabled and the
+    // GPS is reporting altitude, so climbs don't read as falling behind
+    const comparisonPace = gradeAdjustedPace !== null ? gradeAdjustedPace : currentPace;
+
     /**
      * Determine background color based on pace vs goal
      * @returns {string} Tailwind CSS class for background color
@@ -912,17 +7618,165 @@ function App() {
             return 'bg-gray-900';
         }
         
-        if (currentPace === null) {
-            return 'bg-gray-900'; // Neutral when no pace data
+        if (comparisonPace === null || autoPaused || !hasValue(targetPace)) {
+            return 'bg-gray-900'; // Neutral when no pace data, stopped or no target
         }
         
-        if (currentPace < goalPaceSeconds) {
+        if (comparisonPace < targetPace) {
             return 'bg-green-600'; // Faster than goal
         } else {
             return 'bg-red-600'; // Slower than goal
         }
     }
 
+    // Keep the live run state in sync with this render
+    liveRunRef.current = {
+        runState: runState,
+        goalPaceSeconds: goalPaceSeconds,
+        goalFinishTime: goalFinishTime,
+        pacingPlan: pacingPlan,
+        targetPace: targetPace,
+        targetDistance: targetDistance,
+        gradeAdjusted: gradeAdjusted,
+        ghost: ghost,
+        workout: workout,
+        workoutProgress: workoutProgress,
+        totalDistance: totalDistance,
+        elapsedTime: elapsedTime,
+        startTime: startTimeRef.current,
+        runStartedAt: runStartedAtRef.current,
+        pauses: pausesRef.current,
+        autoPauseEnabled: autoPauseRef.current.enabled,
+        autoPaused: autoPaused,
+        tracking: trackingRef.current,
+        lastAnnouncementDistance: lastAnnouncementDistanceRef.current,
+        lastAnnouncementTime: lastAnnouncementTimeRef.current,
+        points: gpsPoints,
+        rawPoints: rawPoints
+    };
+
+    // Time-triggered voice announcements (distance triggers run from the GPS callback)
+    useEffect(() => {
+        if (runState !== 'running') return;
+        if (announcementDue(elapsedTime, lastAnnouncementTimeRef.current, coachingTimeInterval(appSettings.coaching))) {
+            lastAnnouncementTimeRef.current = elapsedTime;
+            makeVoiceAnnouncement(totalDistance, gpsPoints);
+        }
+    }, [elapsedTime]);
+
+    // Checkpoint the active run periodically and whenever the page is hidden,
+    // which is often the last chance before the browser kills the tab.
+    // A finished run is checkpointed until it's saved, then the checkpoint is
+    // cleared - after the previous interval has been torn down, so no late
+    // checkpoint can bring the saved run back as unfinished.
+    useEffect(() => {
+        if (runSaved) {
+            clearActiveSession();
+            return;
+        }
+        if (runState !== 'running' && runState !== 'paused' && runState !== 'finished') {
+            return;
+        }
+        if (positionSourceRef.current.replay) {
+            return; // A replay can simply be run again
+        }
+
+        const checkpoint = () => {
+            // Only raw fixes are stored - the filtered track is rebuilt on restore.
+            // The ghost is reloaded from its saved run.
+            const { rawPoints } = liveRunRef.current;
+            const snapshot = { ...liveRunRef.current };
+            delete snapshot.points;
+            delete snapshot.rawPoints;
+            delete snapshot.ghost;
+            saveActiveSession({
+                ...snapshot,
+                ghostRunId: ghostRunIdRef.current,
+                rawTrack: compactTrack(rawPoints),
+                savedAt: Date.now()
+            }).catch((error) => console.error('Error checkpointing run:', error));
+        };
+
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') {
+                checkpoint();
+            }
+        };
+
+        checkpoint();
+        const intervalId = setInterval(checkpoint, CHECKPOINT_INTERVAL_MS);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+
+        return () => {
+            clearInterval(intervalId);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+        };
+    }, [runState, runSaved]);
+
+    // Sync saved runs with the server while sync is on: straight away, after
+    // each save or delete, when the phone comes back online and every few
+    // minutes. Failures are retried with exponential backoff.
+    useEffect(() => {
+        const sync = settings.sync;
+        if (!sync.enabled || !sync.url) {
+            setSyncStatus(null);
+            return;
+        }
+
+        let cancelled = false;
+        let timer = null;
+        let running = false;
+        let again = false; // A sync was asked for while one was running
+        let failures = 0;
+
+        const schedule = (delay) => {
+            clearTimeout(timer);
+            timer = setTimeout(run, delay);
+        };
+
+        const run = async () => {
+            if (running) {
+                again = true;
+                return;
+            }
+            running = true;
+            setSyncStatus(status => ({ ...status, state: 'syncing' }));
+            try {
+                const { pushed, pulled } = await syncRuns(sync);
+                if (cancelled) return;
+                failures = 0;
+                setSyncStatus({ state: 'synced', lastSyncAt: Date.now(), pushed: pushed, pulled: pulled });
+                schedule(SYNC_INTERVAL_MS);
+            } catch (error) {
+                console.error('Error syncing runs:', error);
+                if (cancelled) return;
+                failures++;
+                const delay = syncRetryDelay(failures);
+                setSyncStatus(status => ({ ...status, state: 'error', error: error.message, retryAt: Date.now() + delay }));
+                schedule(delay);
+            } finally {
+                running = false;
+                if (again && !cancelled) {
+                    again = false;
+                    schedule(0);
+                }
+            }
+        };
+
+        const handleOnline = () => schedule(0);
+        syncListener = () => schedule(0);
+        window.addEventListener('online', handleOnline);
+        setSyncStatus({ state: 'syncing' });
+        schedule(0);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+            syncListener = null;
+            window.removeEventListener('online', handleOnline);
+        };
+    }, [settings.sync]);
+
     // Cleanup on unmount
     useEffect(() => {
         return () => {
@@ -937,7 +7791,42 @@ function App() {
         <>
             {view === 'history' && (
                 <RunHistory 
-                    onClose={handleCloseHistory}
+                    onClose={handleCloseView}
+                />
+            )}
+
+            {view === 'statistics' && (
+                <StatisticsView
+                    onClose={handleCloseView}
+                />
+            )}
+
+            {view === 'records' && (
+                <RecordsView
+                    onClose={handleCloseView}
+                />
+            )}
+
+            {view === 'predictions' && (
+                <PredictionsView
+                    onClose={handleCloseView}
+                />
+            )}
+
+            {view === 'settings' && (
+                <SettingsView
+                    settings={settings}
+                    syncStatus={syncStatus}
+                    onChange={handleChangeSettings}
+                    onClose={handleCloseView}
+                />
+            )}
+
+            {view === 'developer' && (
+                <DeveloperMenu
+                    replay={replay}
+                    onApply={handleApplyDeveloperSettings}
+                    onClose={handleCloseView}
                 />
             )}
             
@@ -945,6 +7834,7 @@ function App() {
                 {/* Status Bar */}
                 <StatusBar 
                     runState={runState}
+                    autoPaused={autoPaused}
                     gpsStatus={gpsStatus}
                     keepAwake={keepAwake}
                     setKeepAwake={setKeepAwake}
@@ -961,10 +7851,28 @@ function App() {
                     ) : runState === 'finished' ? (
                         <SummaryView
                             totalTime={elapsedTime}
+                            elapsedTime={currentRunData ? currentRunData.elapsedTime : elapsedTime}
                             totalDistance={distanceKm}
+                            splits={currentRunData ? splitsForDisplay(currentRunData) : []}
+                            track={currentRunData ? currentRunData.track : null}
+                            ascent={currentRunData ? currentRunData.ascent : 0}
+                            descent={currentRunData ? currentRunData.descent : 0}
+                            gradeAdjustedPace={currentRunData ? currentRunData.gradeAdjustedPace : null}
+                            goalPace={goalPaceSeconds}
+                            finishGoalResult={computeFinishGoalResult(currentRunData)}
+                            planResults={comparePacingPlan(currentRunData)}
+                            workout={currentRunData ? currentRunData.workout : null}
+                            newRecords={newRecords}
                             onNewRun={handleNewRun}
                             onSaveRun={handleSaveRun}
                         />
+                    ) : runState === 'idle' && recoverableSession ? (
+                        <RecoveryPrompt
+                            session={recoverableSession}
+                            onResume={handleResumeSession}
+                            onFinish={handleFinishSession}
+                            onDiscard={handleDiscardSession}
+                        />
                     ) : runState === 'idle' ? (
                         <div className="text-center space-y-6">
                             <button
@@ -979,16 +7887,60 @@ function App() {
                             >
                                 📊 View Run History
                             </button>
+                            <button
+                                onClick={handleViewStatistics}
+                                className="px-8 py-3 text-lg bg-gray-700 hover:bg-gray-600 rounded-lg shadow-lg active:scale-95 transition-transform"
+                            >
+                                📈 Statistics
+                            </button>
+                            <button
+                                onClick={handleViewRecords}
+                                className="px-8 py-3 text-lg bg-gray-700 hover:bg-gray-600 rounded-lg shadow-lg active:scale-95 transition-transform"
+                            >
+                                🏆 Personal Records
+                            </button>
+                            <button
+                                onClick={handleViewPredictions}
+                                className="px-8 py-3 text-lg bg-gray-700 hover:bg-gray-600 rounded-lg shadow-lg active:scale-95 transition-transform"
+                            >
+                                🔮 Race Predictions
+                            </button>
+                            <button
+                                onClick={handleViewSettings}
+                                className="px-8 py-3 text-lg bg-gray-700 hover:bg-gray-600 rounded-lg shadow-lg active:scale-95 transition-transform"
+                            >
+                                ⚙️ Settings
+                            </button>
+                            <button
+                                onClick={handleViewDeveloper}
+                                className="block mx-auto text-sm opacity-75 hover:opacity-100"
+                            >
+                                🛠 Developer
+                            </button>
+                            {replay && (
+                                <div className="text-sm bg-black bg-opacity-30 rounded-lg px-4 py-2">
+                                    Next run replays {replay.label} at {replay.speed}x
+                                </div>
+                            )}
                         </div>
                     ) : (
                         <>
                             <MetricDisplay
                                 currentPace={currentPace}
+                                paceWindow={paceWindow}
+                                gradeAdjusted={gradeAdjusted}
+                                gradeAdjustedPace={gradeAdjustedPace}
+                                averagePace={averagePace}
                                 distance={distanceKm}
                                 time={elapsedTime}
                                 runState={runState}
+                                autoPaused={autoPaused}
+                                workoutStatus={getWorkoutStatus()}
+                                ghostGap={ghost ? computeGhostGap(ghost, totalDistance, elapsedTime) : null}
                                 targetDistance={targetDistance}
-                                goalPace={goalPaceSeconds}
+                                goalPace={targetPace}
+                                finishGoal={goalFinishTime ? { goalTime: goalFinishTime, projectedFinish: projectedFinish, requiredPace: requiredPace } : null}
+                                planStatus={pacingPlan ? { segment: planSegment + 1, segments: pacingPlan.segments.length, pace: pacingPlan.segments[planSegment].pace, gap: planGap } : null}
                             />
                             
                             <Controls
@@ -0,0 +1,240 @@
+// Reference sync server for Running Tracker
+// A small self-hosted server the app's run sync can talk to. It keeps every
+// run in one JSON file, so it suits a team or a test setup rather than
+// thousands of users. Needs Node.js 18 or later and no other packages.
+//
+// Usage:
+//   node server/sync-server.js
+//
+// Environment variables:
+//   PORT        Port to listen on (default 8787)
+//   DATA_FILE   Where runs are stored (default server/sync-data.json)
+//   SYNC_TOKEN  If set, requests must send "Authorization: Bearer <token>"
+//
+// API:
+//   GET /runs?since=<cursor>  Changes after a cursor: { cursor, changes: [change] }
+//   PUT /runs/<id>            Push a change: { baseRevision, updatedAt, deleted, run }
+//                             Replies { applied, change } - change is the server's copy
+// A change is { id, revision, seq, deleted, updatedAt, run }. revision counts the
+// writes to one run; seq orders all changes and is what cursors refer to.
+// Deleted runs are kept as tombstones (deleted: true, run: null) so every
+// device hears about the delete.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'sync-data.json');
+const SYNC_TOKEN = process.env.SYNC_TOKEN || '';
+const MAX_BODY_BYTES = 50 * 1024 * 1024; // Runs carry their raw GPS tracks
+
+// ========================================
+// STORAGE
+// ========================================
+
+/**
+ * Load the stored runs, or start empty. Runs are kept in an object without a
+ * prototype, so ids like "__proto__" or "constructor" are just ids.
+ * @returns {Object} { cursor, runs } - runs are changes keyed by run id
+ */
+function loadData() {
+    try {
+        const stored = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+        return { cursor: stored.cursor, runs: Object.assign(Object.create(null), stored.runs) };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error; // Don't start over a damaged file
+        }
+        return { cursor: 0, runs: Object.create(null) };
+    }
+}
+
+/**
+ * Write the runs to disk, replacing the file in one step so a crash
+ * can't leave it half written
+ * @param {Object} data - { cursor, runs }
+ */
+function saveData(data) {
+    const tempFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(data));
+    fs.renameSync(tempFile, DATA_FILE);
+}
+
+const data = loadData();
+
+// ========================================
+// SYNC RULES
+// ========================================
+
+/**
+ * List the changes after a cursor, oldest first
+ * @param {number} since - Cursor from an earlier pull (0 for everything)
+ * @returns {Object} { cursor, changes }
+ */
+function changesSince(since) {
+    const changes = Object.values(data.runs)
+        .filter(change => change.seq > since)
+        .sort((a, b) => a.seq - b.seq);
+    return { cursor: data.cursor, changes: changes };
+}
+
+/**
+ * Apply a pushed change. A push based on the latest revision always wins;
+ * otherwise two devices changed the run at once and the later change wins
+ * (last writer wins), with the stored copy kept on a tie.
+ * @param {string} id - Run id
+ * @param {Object} push - { baseRevision, updatedAt, deleted, run }
+ * @returns {Object} { applied, change }
+ */
+function applyPush(id, push) {
+    const current = data.runs[id];
+    const upToDate = current && push.baseRevision === current.revision;
+    if (current && !upToDate && current.updatedAt >= push.updatedAt) {
+        return { applied: false, change: current };
+    }
+
+    data.cursor++;
+    const change = {
+        id: id,
+        revision: current ? current.revision + 1 : 1,
+        seq: data.cursor,
+        deleted: push.deleted,
+        updatedAt: push.updatedAt,
+        run: push.deleted ? null : { ...push.run, id: id }
+    };
+    data.runs[id] = change;
+    saveData(data);
+    return { applied: true, change: change };
+}
+
+/**
+ * Check a pushed change
+ * @param {*} push - Request body
+ * @returns {string|null} What's wrong with it, or null if it's valid
+ */
+function validatePush(push) {
+    if (!push || typeof push !== 'object') {
+        return 'Body must be a JSON object';
+    }
+    if (typeof push.updatedAt !== 'number' || !isFinite(push.updatedAt)) {
+        return 'updatedAt must be a timestamp';
+    }
+    if (typeof push.deleted !== 'boolean') {
+        return 'deleted must be true or false';
+    }
+    if (!push.deleted && (!push.run || typeof push.run !== 'object')) {
+        return 'run is required unless deleted';
+    }
+    return null;
+}
+
+// ========================================
+// HTTP
+// ========================================
+
+/**
+ * Send a JSON response, allowing the app to call from any origin
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS'
+    });
+    res.end(body === null ? '' : JSON.stringify(body));
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(Object.assign(new Error('Body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Decode the run id from a request path
+ * @param {string} segment - Path segment, URL encoded
+ * @returns {string} Run id
+ */
+function decodeRunId(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        throw Object.assign(new Error('Run id is not valid URL encoding'), { status: 400 });
+    }
+}
+
+/**
+ * Handle one request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+    if (req.method === 'OPTIONS') {
+        sendJson(res, 204, null);
+        return;
+    }
+    if (SYNC_TOKEN && req.headers.authorization !== `Bearer ${SYNC_TOKEN}`) {
+        sendJson(res, 401, { error: 'Missing or wrong access token' });
+        return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const runMatch = url.pathname.match(/^\/runs\/([^/]+)$/);
+
+    if (req.method === 'GET' && url.pathname === '/runs') {
+        const since = parseInt(url.searchParams.get('since'), 10) || 0;
+        sendJson(res, 200, changesSince(since));
+    } else if (req.method === 'PUT' && runMatch) {
+        const id = decodeRunId(runMatch[1]);
+        const push = await readJsonBody(req);
+        const problem = validatePush(push);
+        if (problem) {
+            sendJson(res, 400, { error: problem });
+            return;
+        }
+        sendJson(res, 200, applyPush(id, push));
+    } else {
+        sendJson(res, 404, { error: 'Not found' });
+    }
+}
+
+const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+        if (!error.status) {
+            console.error('Error handling request:', error);
+        }
+        sendJson(res, error.status || 500, { error: error.message });
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Running Tracker sync server on http://localhost:${PORT} (data in ${DATA_FILE})`);
+});
@@ -1,7 +1,7 @@
 // Service Worker for Running Tracker
 // Caches all assets for offline use and reduces data usage
 
-const CACHE_NAME = 'running-tracker-v1';
+const CACHE_NAME = 'running-tracker-v2';
 const urlsToCache = [
     './',
     './index.html',
@@ -27,6 +27,12 @@ self.addEventListener('install', (event) => {
 
 // Fetch from cache first, then network
 self.addEventListener('fetch', (event) => {
+    // Sync server requests (sent with cache: 'no-store') and uploads go
+    // straight to the network
+    if (event.request.method !== 'GET' || event.request.cache === 'no-store') {
+        return;
+    }
+
     event.respondWith(
         caches.match(event.request)
             .then((response) => {